@@ -0,0 +1,30 @@
+// ย้าย post.image (รูปเดียว) ไปเป็นรูปแรกของ post.images (แกลเลอรี) ส่วน image ยังเก็บไว้เป็นรูปปก
+// รันซ้ำได้ โพสต์ที่มีแกลเลอรีแล้วจะถูกข้าม
+// ใช้: npm run migrate:images
+const { mongoose, Post } = require('../server');
+
+const run = async () => {
+    const legacyPosts = await Post.collection
+        .find({ image: { $type: 'string', $ne: '' }, 'images.0': { $exists: false } })
+        .project({ image: 1 })
+        .toArray();
+
+    if (legacyPosts.length) {
+        await Post.collection.bulkWrite(legacyPosts.map(post => ({
+            updateOne: {
+                filter: { _id: post._id },
+                update: {
+                    $set: { images: [{ _id: new mongoose.Types.ObjectId(), url: post.image, caption: '', alt: '' }] }
+                }
+            }
+        })));
+    }
+    console.log(`Migrated ${legacyPosts.length} posts`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
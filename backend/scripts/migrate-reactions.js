@@ -0,0 +1,44 @@
+// likes (array ของ user id) เปลี่ยนเป็น reactions ชนิด like แล้วลบ field likes ทิ้ง
+// คนที่กด reaction ไปแล้วหลัง deploy ก่อนรันสคริปต์นี้ ใช้ reaction ใหม่ ไม่ถูกทับ
+// รันซ้ำได้ แตะเฉพาะโพสต์ที่ยังมี field likes เสร็จแล้วรัน npm run repair:counters ให้ตัวนับตรงกับ reactions
+// ใช้: npm run migrate:reactions
+const { mongoose, Post } = require('../server');
+
+const run = async () => {
+    const result = await Post.collection.updateMany(
+        { likes: { $exists: true } },
+        [
+            {
+                $set: {
+                    reactions: {
+                        $concatArrays: [
+                            { $ifNull: ['$reactions', []] },
+                            {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: { $setUnion: [{ $ifNull: ['$likes', []] }] },
+                                            as: 'user',
+                                            cond: { $not: { $in: ['$$user', { $ifNull: ['$reactions.user', []] }] } }
+                                        }
+                                    },
+                                    as: 'user',
+                                    in: { user: '$$user', type: 'like', created_at: '$created_at' }
+                                }
+                            }
+                        ]
+                    }
+                }
+            },
+            { $unset: 'likes' }
+        ]
+    );
+    console.log(`Migrated likes of ${result.modifiedCount} posts to reactions`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
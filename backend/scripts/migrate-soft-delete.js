@@ -0,0 +1,25 @@
+// คอมเมนต์ที่ลบไปก่อนมีถังขยะเก็บเป็น deleted: true + ข้อความ [deleted] (ข้อความเดิมหายไปแล้ว)
+// ย้ายไปใช้ deletedAt แบบเดียวกับคอมเมนต์ที่ purge แล้ว จะได้ยังแสดงเป็น [deleted] ถ้ามีคนตอบอยู่
+// รันซ้ำได้ แตะเฉพาะคอมเมนต์ที่ยังมี field deleted
+// ใช้: npm run migrate:soft-delete
+const { mongoose, Post } = require('../server');
+
+const run = async () => {
+    const now = new Date();
+    const result = await Post.collection.updateMany(
+        { 'comments.deleted': { $exists: true } },
+        {
+            $set: { 'comments.$[old].deletedAt': now, 'comments.$[old].deletedBy': null },
+            $unset: { 'comments.$[any].deleted': '' }
+        },
+        { arrayFilters: [{ 'old.deleted': true }, { 'any.deleted': { $exists: true } }] }
+    );
+    console.log(`Migrated deleted comments in ${result.modifiedCount} posts`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// โพสต์ที่สร้างก่อนมี status ถือว่าเผยแพร่แล้วทั้งหมด (ไม่งั้นจะหายไปจากรายการที่กรอง status: 'published')
+// รันซ้ำได้ แตะเฉพาะโพสต์ที่ยังไม่มี field status
+// ใช้: npm run migrate:status
+const { mongoose, Post } = require('../server');
+
+const run = async () => {
+    const result = await Post.collection.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'published', publishAt: null, expiresAt: null } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing posts as published`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
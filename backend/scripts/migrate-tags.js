@@ -0,0 +1,52 @@
+// ย้าย post.tag (string คั่นด้วย comma) ไปเป็น post.tags (array) แล้วสร้าง Tag registry ใหม่จากโพสต์ทั้งหมด
+// รันซ้ำได้ ถ้าไม่มีโพสต์แบบเก่าเหลือจะแค่นับ usageCount ใหม่
+// ใช้: npm run migrate:tags
+const { mongoose, Post, Tag, parseTags, defaultTagColor } = require('../server');
+
+const run = async () => {
+    // ชื่อที่แสดงผลของแต่ละ tag ใช้แบบที่เจอครั้งแรกในข้อมูลเดิม
+    const displayNames = new Map();
+
+    const legacyPosts = await Post.collection.find({ tag: { $type: 'string' } }).toArray();
+    for (const post of legacyPosts) {
+        const tags = parseTags(post.tag);
+        tags.forEach(t => {
+            if (!displayNames.has(t.name)) displayNames.set(t.name, t.displayName);
+        });
+        await Post.collection.updateOne(
+            { _id: post._id },
+            { $set: { tags: tags.map(t => t.name) }, $unset: { tag: '' } }
+        );
+    }
+    console.log(`Migrated ${legacyPosts.length} posts`);
+
+    // text index เดิมใช้ field `tag` ต้อง drop แล้วสร้างใหม่ให้ตรงกับ schema
+    await Post.syncIndexes();
+
+    const counts = await Post.aggregate([
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+
+    await Tag.updateMany({}, { usageCount: 0 });
+    if (counts.length) {
+        await Tag.bulkWrite(counts.map(({ _id: name, count }) => ({
+            updateOne: {
+                filter: { name },
+                update: {
+                    $set: { usageCount: count },
+                    $setOnInsert: { displayName: displayNames.get(name) || name, color: defaultTagColor(name) }
+                },
+                upsert: true
+            }
+        })));
+    }
+    console.log(`Recounted ${counts.length} tags`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// บัญชีที่สมัครก่อนมีการยืนยันอีเมลให้นับว่ายืนยันแล้ว จะได้โพสต์ต่อได้ตามเดิม
+// รันซ้ำได้ แตะเฉพาะ user ที่ยังไม่มี field verified
+// ใช้: npm run migrate:verified
+const { mongoose, User } = require('../server');
+
+const run = async () => {
+    const result = await User.collection.updateMany(
+        { verified: { $exists: false } },
+        { $set: { verified: true, verifiedAt: null } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
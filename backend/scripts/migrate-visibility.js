@@ -0,0 +1,19 @@
+// โพสต์ที่สร้างตอนที่ทั้งเว็บยังต้อง login ถือเป็น members (เจ้าของไม่ได้ตั้งใจให้คนนอกเห็น)
+// เจ้าของเปลี่ยนเป็น public เองได้ทีหลัง รันซ้ำได้ แตะเฉพาะโพสต์ที่ยังไม่มี field visibility
+// ใช้: npm run migrate:visibility
+const { mongoose, Post } = require('../server');
+
+const run = async () => {
+    const result = await Post.collection.updateMany(
+        { visibility: { $exists: false } },
+        { $set: { visibility: 'members' } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing posts as members-only`);
+};
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// หารูปใน media storage ที่ไม่มีโพสต์หรือ user ไหนอ้างถึงแล้ว แล้วลบทิ้งเมื่อเก่ากว่า MEDIA_ORPHAN_GRACE_HOURS
+// ใช้: npm run media:reconcile            (ลบจริง)
+//      npm run media:reconcile -- --dry-run  (แค่แสดงรายการ)
+// ตั้งเป็น cron วันละครั้งได้ รันซ้ำได้ปลอดภัย
+const { mongoose, reconcileMedia, MEDIA_STORAGE } = require('../server');
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const result = await reconcileMedia({ dryRun });
+
+    console.log(`Scanned ${result.scanned} files in ${MEDIA_STORAGE} storage, ${result.orphaned} unreferenced`);
+    if (dryRun) {
+        console.log(`Would remove ${result.orphaned - result.pending.length} files (dry run)`);
+    } else {
+        result.removed.forEach(id => console.log(`Removed ${id}`));
+        console.log(`Removed ${result.removed.length} files`);
+    }
+    if (result.pending.length) {
+        console.log(`Kept ${result.pending.length} files still inside the grace period`);
+    }
+};
+
+run()
+    .catch(err => {
+        console.error('Media reconciliation failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
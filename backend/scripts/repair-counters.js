@@ -0,0 +1,17 @@
+// นับ likeCount / reactionCounts / commentCount ของทุกโพสต์ใหม่จาก reactions และ comments ในตัวโพสต์
+// รันหลัง deploy ครั้งแรก (โพสต์เก่ายังไม่มีตัวนับ) และทุกครั้งที่สงสัยว่าตัวนับเพี้ยน
+// แต่ละโพสต์นับใน update เดียว รันตอน server ทำงานอยู่ได้ รันซ้ำได้
+// ใช้: npm run repair:counters
+const { mongoose, recountPostCounters } = require('../server');
+
+const run = async () => {
+    const result = await recountPostCounters({});
+    console.log(`Checked ${result.matchedCount} posts, fixed counters on ${result.modifiedCount}`);
+};
+
+run()
+    .catch(err => {
+        console.error('Counter repair failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -3,17 +3,30 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const multer = require('multer');
+const nodemailer = require('nodemailer');
+const sharp = require('sharp');
 const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const SECRET_KEY = process.env.SECRET_KEY;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// refresh token ที่เพิ่งหมุนไปยังใช้ได้อีกช่วงสั้น ๆ เผื่อหลายแท็บ refresh พร้อมกัน
+const REFRESH_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30;
+// จำนวนคนรายงานที่ไม่ซ้ำกัน ก่อนซ่อนโพสต์/คอมเมนต์อัตโนมัติ
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 5;
 
 // --- 1. Middleware ---
-app.use(cors());
+// อยู่หลัง proxy / load balancer (เช่น Render) ต้องตั้ง TRUST_PROXY ไม่งั้น req.ip เป็น IP ของ proxy ทุก request
+// และ rate limit ต่อ IP จะนับทุกคนรวมกัน
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
 app.use(express.json());
 
 // --- 2. Database Connection ---
@@ -21,78 +34,2805 @@ mongoose.connect(process.env.MONGO_URI)
     .then(() => console.log('MongoDB Connected'))
     .catch(err => console.error('DB Error:', err));
 
-// --- 3. Cloudinary Setup ---
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// --- 3. Media Storage ---
+// เลือกที่เก็บรูปจาก MEDIA_STORAGE: 'cloudinary' หรือ 'local' (ไม่ตั้ง = cloudinary ถ้ามี credentials ไม่งั้น local)
+// ทุก backend มี save(buffer, name) ที่คืน URL สาธารณะของไฟล์ route จึงไม่ต้องรู้ว่าเก็บที่ไหน
+// idFromUrl / remove / list ใช้ตอนลบรูปเก่าและตอน reconcile หาไฟล์ที่ไม่มีใครอ้างถึง
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 5;
+const MAX_POST_IMAGES = 10;
+const IMAGE_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+// ทุกรูปที่ upload ถูกแปลงเป็น WebP ตามขนาดเหล่านี้ (ด้านยาวสุดไม่เกิน maxSize px รูปที่เล็กกว่าไม่ขยาย)
+const IMAGE_VARIANTS = [
+    { size: 'thumb', maxSize: 320 },
+    { size: 'card', maxSize: 800 },
+    { size: 'full', maxSize: 1920 }
+];
+const IMAGE_QUALITY = 80;
 
-const storage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'baanboard_posts',
-        allowed_formats: ['jpg', 'png', 'jpeg', 'webp'],
+const CLOUDINARY_FOLDER = 'baanboard_posts';
+// <hex>-<size>.webp คือไฟล์ที่ย่อแล้ว ส่วน <hex>.jpg|png|webp คือไฟล์ดิบที่ upload ก่อนมีการย่อรูป
+const LOCAL_FILENAME_PATTERN = /^[0-9a-f]{32}(?:-(?:thumb|card|full))?\.(?:jpg|png|webp)$/;
+
+const mediaStorages = {
+    cloudinary: () => {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET
+        });
+        return {
+            save: (buffer, name) => new Promise((resolve, reject) => {
+                cloudinary.uploader.upload_stream(
+                    { folder: CLOUDINARY_FOLDER, public_id: name, resource_type: 'image' },
+                    (err, result) => err ? reject(err) : resolve(result.secure_url)
+                ).end(buffer);
+            }),
+            // .../image/upload/v1700000000/baanboard_posts/abc.jpg -> baanboard_posts/abc
+            idFromUrl: (url) => {
+                const match = url.match(new RegExp(`/upload/(?:v\\d+/)?(${CLOUDINARY_FOLDER}/[^/.]+)\\.\\w+$`));
+                return match ? match[1] : null;
+            },
+            remove: (id) => cloudinary.uploader.destroy(id),
+            list: async () => {
+                const assets = [];
+                let next_cursor;
+                do {
+                    const page = await cloudinary.api.resources({
+                        type: 'upload',
+                        prefix: `${CLOUDINARY_FOLDER}/`,
+                        max_results: 500,
+                        next_cursor
+                    });
+                    page.resources.forEach(r => assets.push({ id: r.public_id, createdAt: new Date(r.created_at) }));
+                    next_cursor = page.next_cursor;
+                } while (next_cursor);
+                return assets;
+            }
+        };
+    },
+
+    // เก็บไฟล์ใน UPLOAD_DIR แล้วเสิร์ฟผ่าน /uploads ใช้ตอน dev / test ที่ไม่มีเน็ตหรือ credentials
+    local: () => {
+        fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+        app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '7d' }));
+        return {
+            save: async (buffer, name) => {
+                const filename = `${name}.webp`;
+                await fs.promises.writeFile(path.join(UPLOAD_DIR, filename), buffer);
+                return `${MEDIA_PUBLIC_URL}/uploads/${filename}`;
+            },
+            // ดูแค่ชื่อไฟล์ host ใน URL เปลี่ยนได้ถ้าย้าย MEDIA_PUBLIC_URL
+            idFromUrl: (url) => {
+                const filename = url.split('/uploads/')[1];
+                return filename && LOCAL_FILENAME_PATTERN.test(filename) ? filename : null;
+            },
+            remove: (id) => fs.promises.rm(path.join(UPLOAD_DIR, id), { force: true }),
+            list: async () => {
+                // นับเฉพาะไฟล์ที่ engine นี้ตั้งชื่อให้ ไฟล์อื่นในโฟลเดอร์ไม่ยุ่ง
+                const names = (await fs.promises.readdir(UPLOAD_DIR)).filter(name => LOCAL_FILENAME_PATTERN.test(name));
+                return Promise.all(names.map(async name => {
+                    const stat = await fs.promises.stat(path.join(UPLOAD_DIR, name));
+                    return { id: name, createdAt: stat.mtime };
+                }));
+            }
+        };
+    }
+};
+
+if (!mediaStorages[MEDIA_STORAGE]) throw new Error(`Unknown MEDIA_STORAGE: ${MEDIA_STORAGE}`);
+
+const mediaStorage = mediaStorages[MEDIA_STORAGE]();
+
+// ไฟล์ที่ upload ไม่ผ่าน (ชนิดไฟล์ผิด อ่านรูปไม่ได้) error handler จะตอบเป็น VALIDATION_ERROR ของ field นั้น
+const uploadError = (field, message) => Object.assign(new Error(message), { field, uploadRejected: true });
+
+// multer engine: หมุนรูปตาม EXIF orientation, ทิ้ง metadata (GPS, รุ่นกล้อง) แล้วแปลงเป็น WebP ทุกขนาดใน IMAGE_VARIANTS
+// ก่อนส่งให้ mediaStorage เก็บ req.file.path = URL ขนาด full, req.file.variants = [{ size, url, width, height }]
+const imageProcessingEngine = {
+    _handleFile(req, file, cb) {
+        const name = crypto.randomBytes(16).toString('hex');
+        // sharp ไม่เขียน metadata ลงไฟล์ผลลัพธ์ถ้าไม่สั่ง withMetadata() จึงต้อง rotate() ให้ภาพตั้งตรงก่อน orientation หาย
+        const pipeline = sharp({ failOn: 'error' }).rotate();
+        const rendered = Promise.all(IMAGE_VARIANTS.map(({ size, maxSize }) => pipeline.clone()
+            .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: IMAGE_QUALITY })
+            .toBuffer({ resolveWithObject: true })
+            .then(({ data, info }) => ({ size, data, width: info.width, height: info.height }))
+        ));
+        file.stream.pipe(pipeline);
+
+        rendered
+            .catch(() => { throw uploadError(file.fieldname, 'Could not read this image file'); })
+            // ย่อครบทุกขนาดแล้วค่อยเก็บ ไฟล์ที่อ่านไม่ได้จะไม่เหลือขยะใน storage
+            .then(outputs => Promise.all(outputs.map(async ({ size, data, width, height }) => ({
+                size,
+                url: await mediaStorage.save(data, `${name}-${size}`),
+                width,
+                height,
+                bytes: data.length
+            }))))
+            .then(variants => cb(null, {
+                path: variants.find(v => v.size === 'full').url,
+                variants: variants.map(({ size, url, width, height }) => ({ size, url, width, height })),
+                size: variants.reduce((sum, v) => sum + v.bytes, 0)
+            }))
+            .catch(cb);
     },
+    // multer เรียกตอน request ล้มกลางทาง ลบไฟล์ที่เก็บไปแล้วทิ้ง
+    _removeFile(req, file, cb) {
+        removeMedia(mediaUrls(uploadedImage(file))).then(() => cb(null), cb);
+    }
+};
+
+const upload = multer({
+    storage: imageProcessingEngine,
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (IMAGE_EXTENSIONS[file.mimetype]) return cb(null, true);
+        cb(uploadError(file.fieldname, 'Only jpg, png and webp images are allowed'));
+    }
 });
 
-const upload = multer({ storage: storage });
+// รูปของโพสต์: `images` ได้หลายไฟล์ ส่วน `image` ไฟล์เดียวคือ field แบบเดิม
+const uploadPostImages = upload.fields([
+    { name: 'images', maxCount: MAX_POST_IMAGES },
+    { name: 'image', maxCount: 1 }
+]);
+
+// ข้อความของ error จาก multer ที่ user ควรเข้าใจได้ (ที่ไม่มีในนี้ใช้ข้อความของ multer เอง)
+const UPLOAD_ERROR_MESSAGES = {
+    LIMIT_FILE_SIZE: `Images must be at most ${MAX_UPLOAD_MB} MB`,
+    LIMIT_FILE_COUNT: `At most ${MAX_POST_IMAGES} images are allowed`
+};
+
+// --- Mail Transport ---
+// เลือกวิธีส่งเมลจาก MAIL_TRANSPORT: 'smtp', 'file' หรือ 'console'
+// (ไม่ตั้ง = smtp ถ้ามี SMTP_HOST หรือเป็น production ไม่งั้น console)
+// ทุก transport มี send({ to, subject, text }) แบบเดียวกัน route จึงไม่ต้องรู้ว่าเมลไปทางไหน
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST || IS_PRODUCTION ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Baanboard <no-reply@baanboard.local>';
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, 'mail'));
+// ลิงก์ในเมลชี้ไปหน้าเว็บ (frontend) ไม่ใช่ API
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+const mailTransports = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return { send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message }) };
+    },
+
+    // เขียนเมลแต่ละฉบับเป็นไฟล์ JSON ใน MAIL_DIR ใช้ตอน dev / test ที่ต้องเปิดลิงก์ในเมลเอง
+    file: () => {
+        fs.mkdirSync(MAIL_DIR, { recursive: true });
+        return {
+            send: async (message) => {
+                const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+                const mail = { from: MAIL_FROM, ...message, sentAt: new Date() };
+                await fs.promises.writeFile(path.join(MAIL_DIR, filename), JSON.stringify(mail, null, 2));
+            }
+        };
+    },
+
+    // พิมพ์เมลลง log เฉยๆ
+    console: () => ({
+        send: async ({ to, subject, text }) => console.log(`--- Mail to ${to}: ${subject} ---\n${text}\n---`)
+    })
+};
+
+if (!mailTransports[MAIL_TRANSPORT]) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+// file / console เก็บลิงก์ยืนยันอีเมลและรีเซ็ตรหัสผ่านไว้ใน log หรือดิสก์ ใช้ได้แค่ตอน dev
+if (IS_PRODUCTION && MAIL_TRANSPORT !== 'smtp') {
+    throw new Error(`MAIL_TRANSPORT=${MAIL_TRANSPORT} is not allowed when NODE_ENV=production`);
+}
+if (MAIL_TRANSPORT === 'smtp' && !process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for MAIL_TRANSPORT=smtp');
+
+const mailer = mailTransports[MAIL_TRANSPORT]();
 
 // --- 4. Schemas ---
 
+// ไฟล์แต่ละขนาดของรูปที่ upload ผ่าน imageProcessingEngine
+const imageVariantSchema = new mongoose.Schema({
+    size: { type: String, enum: IMAGE_VARIANTS.map(v => v.size), required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number }
+}, { _id: false });
+
 // User Schema
 const userSchema = new mongoose.Schema({
     fullname: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     tel: { type: String, required: true },
     password: { type: String, required: true },
-    profileImage: { type: String, default: null },
-    role: { type: String, enum: ['user', 'admin'], default: 'user' }
+    profileImage: { type: String, default: null }, // ขนาด full
+    profileImageVariants: [imageVariantSchema],
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // ยังไม่ยืนยันอีเมล = login ได้แต่โพสต์ไม่ได้
+    verified: { type: Boolean, default: false },
+    verifiedAt: { type: Date, default: null },
+    suspended: { type: Boolean, default: false },
+    suspendedAt: { type: Date, default: null },
+    suspendReason: { type: String, default: null },
+    lockedUntil: { type: Date, default: null } // ใส่รหัสผิดติดกันเกิน LOGIN_MAX_FAILURES
 });
 const User = mongoose.model('User', userSchema);
 
-// Comment Schema
-const commentSchema = new mongoose.Schema({
-    text: { type: String, required: true },
-    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    created_at: { type: Date, default: Date.now }
+// Comment Schema
+const commentSchema = new mongoose.Schema({
+    text: { type: String, required: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    parent: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = คอมเมนต์บนสุด
+    hidden: { type: Boolean, default: false },
+    // ลบแล้ว (อยู่ในถังขยะ) ข้อความเดิมยังเก็บไว้ให้กู้คืนได้จนกว่าจะครบ TRASH_RETENTION_DAYS
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: null }
+});
+
+// Reaction ของโพสต์ คนละหนึ่งอันต่อโพสต์ (เปลี่ยนชนิดได้)
+const REACTIONS = ['like', 'love', 'haha', 'wow', 'sad', 'angry'];
+const reactionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: REACTIONS, required: true },
+    created_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// รูปในแกลเลอรีของโพสต์ ลำดับใน array คือลำดับที่แสดง
+const postImageSchema = new mongoose.Schema({
+    url: { type: String, required: true }, // ขนาด full (รูปเก่าก่อนมีการย่อรูป = ไฟล์ดิบและไม่มี variants)
+    variants: [imageVariantSchema],
+    caption: { type: String, default: '' },
+    alt: { type: String, default: '' }
+});
+
+// public = ใครก็เปิดดูได้ไม่ต้อง login, members = เฉพาะสมาชิกที่ login แล้ว
+const POST_VISIBILITIES = ['public', 'members'];
+// draft = ยังไม่เผยแพร่, scheduled = รอถึง publishAt, published = แสดงในรายการ, expired = เลย expiresAt แล้ว
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'expired'];
+
+const postSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    content: { type: String, required: true },
+    image: { type: String }, // รูปปก = images[0].url เก็บไว้ให้ client ที่ยังอ่าน field เดียว
+    images: [postImageSchema],
+    // เก็บเป็นชื่อ tag ที่ normalize แล้ว (ตัวพิมพ์เล็ก) ชื่อที่แสดงผลและสีอยู่ใน Tag
+    tags: {
+        type: [String],
+        validate: [arr => arr.length > 0, 'At least one tag is required']
+    },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reactions: [reactionSchema], // เดิมเป็น likes (array ของ user id) ย้ายด้วย npm run migrate:reactions
+    comments: [commentSchema],
+    // ตัวนับที่เก็บไว้ให้รายการโพสต์อ่านได้โดยไม่ต้องโหลด reactions / comments ทั้ง array
+    // reaction อัปเดตด้วย $inc ใน update เดียวกับ $push / $pull, commentCount นับใหม่ใน pre('save')
+    // route ที่แก้คอมเมนต์จึงต้องผ่าน post.save() ถ้าใช้ updateOne / updateMany ต้องเรียก recountPostCounters ต่อ
+    // ถ้าเพี้ยน (หรือโพสต์เก่าก่อนมี field นี้) คำนวณใหม่ด้วย npm run repair:counters
+    likeCount: { type: Number, default: 0 }, // reaction ทุกชนิดรวมกัน
+    reactionCounts: Object.fromEntries(REACTIONS.map(type => [type, { type: Number, default: 0 }])),
+    commentCount: { type: Number, default: 0 }, // คอมเมนต์ที่ไม่ถูกซ่อนและไม่อยู่ในถังขยะ
+    hidden: { type: Boolean, default: false },
+    visibility: { type: String, enum: POST_VISIBILITIES, default: 'public' },
+    status: { type: String, enum: POST_STATUSES, default: 'published' },
+    publishAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    // ลบแล้ว = อยู่ในถังขยะของเจ้าของ ไม่แสดงในทุกรายการ ลบจริงตอน admin purge หรือครบ TRASH_RETENTION_DAYS
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updated_at: { type: Date, default: null }, // แก้ไขเนื้อหาล่าสุด (มีค่า = มีประวัติการแก้ไขใน PostRevision)
+    created_at: { type: Date, default: Date.now } // วันที่โพสต์ที่คนอ่านเห็น โพสต์ที่ตั้งเวลาไว้จะเป็นเวลาที่เผยแพร่จริง
+});
+// Full-text index สำหรับ /search (language 'none' = ไม่ตัดคำ/stem เพราะเนื้อหาส่วนใหญ่เป็นภาษาไทย)
+postSchema.index(
+    { title: 'text', tags: 'text', content: 'text', 'comments.text': 'text' },
+    {
+        name: 'post_text_search',
+        default_language: 'none',
+        weights: { title: 10, tags: 5, content: 3, 'comments.text': 1 }
+    }
+);
+postSchema.index({ tags: 1, created_at: -1 });
+postSchema.index({ 'reactions.user': 1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, expiresAt: 1 });
+postSchema.index({ owner: 1, deletedAt: 1 });
+postSchema.index({ 'comments.deletedAt': 1 });
+// sync รูปปกเฉพาะตอนแกลเลอรีเปลี่ยน โพสต์เก่าที่ยังไม่ได้ migrate จะได้ไม่เสีย image เดิม
+// commentCount นับใหม่ทุกครั้งที่ save แล้วคอมเมนต์เปลี่ยน (update ตรง ๆ ไม่ผ่านตรงนี้ ดู recountPostCounters)
+postSchema.pre('save', function () {
+    if (this.isModified('images')) this.image = this.images.length ? this.images[0].url : null;
+    if (this.isModified('comments')) this.commentCount = this.comments.filter(c => !c.hidden && !c.deletedAt).length;
+});
+const Post = mongoose.model('Post', postSchema);
+
+// Post Revision Schema (ประวัติการแก้ไขโพสต์ เก็บเฉพาะ field ที่เปลี่ยน ทั้งค่าก่อนและหลังแก้)
+// original = จุดเริ่มต้นของประวัติ สร้างตอนแก้ครั้งแรก ไม่มี field ที่เปลี่ยน ใช้เป็นเป้าหมายตอนย้อนกลับไปโพสต์แรกสุด
+const REVISION_KINDS = ['original', 'edit', 'revert'];
+const postRevisionSchema = new mongoose.Schema({
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    kind: { type: String, enum: REVISION_KINDS, default: 'edit' },
+    fields: [String],
+    before: { type: mongoose.Schema.Types.Mixed, default: {} },
+    after: { type: mongoose.Schema.Types.Mixed, default: {} },
+    revertedTo: { type: mongoose.Schema.Types.ObjectId, default: null }, // kind = revert
+    created_at: { type: Date, default: Date.now }
+}, { minimize: false });
+postRevisionSchema.index({ post: 1, _id: -1 });
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+// Tag Schema (registry ของ tag ทั้งหมด พร้อมจำนวนโพสต์ที่ใช้)
+const tagSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    displayName: { type: String, required: true },
+    color: { type: String, required: true },
+    usageCount: { type: Number, default: 0 }
+});
+const Tag = mongoose.model('Tag', tagSchema);
+
+// Report Schema (comment เป็น null = รายงานตัวโพสต์)
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'scam', 'inappropriate', 'other'];
+const reportSchema = new mongoose.Schema({
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    comment: { type: mongoose.Schema.Types.ObjectId, default: null },
+    reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    details: { type: String, default: '' },
+    status: { type: String, enum: ['open', 'dismissed', 'hidden', 'deleted'], default: 'open' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    created_at: { type: Date, default: Date.now }
+});
+// คนเดียวรายงานเรื่องเดียวกันได้ครั้งเดียว
+reportSchema.index({ post: 1, comment: 1, reporter: 1 }, { unique: true });
+const Report = mongoose.model('Report', reportSchema);
+
+// Refresh Token Schema (เก็บเฉพาะ hash ของ token ไม่เก็บตัวจริง)
+const refreshTokenSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+    created_at: { type: Date, default: Date.now }
+});
+// ให้ MongoDB ลบ token ที่หมดอายุทิ้งเอง
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+// AuthToken Schema (ลิงก์ใช้ครั้งเดียวที่ส่งทางเมล เก็บแค่ hash เหมือน refresh token)
+const authTokenSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    created_at: { type: Date, default: Date.now }
+});
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ user: 1, purpose: 1 });
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+// RateLimit Schema (ใช้เมื่อ RATE_LIMIT_STORE=mongo) _id = "<ชื่อ limit>:<IP หรือ user>"
+const rateLimitSchema = new mongoose.Schema({
+    _id: { type: String },
+    count: { type: Number, required: true },
+    resetAt: { type: Date, required: true }
+}, { versionKey: false });
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+// Notification Schema
+// like ของโพสต์เดียวกันที่ยังไม่อ่านจะรวมเป็นอันเดียว (actors เรียงจากคนล่าสุด)
+const notificationSchema = new mongoose.Schema({
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ['like', 'comment', 'reply'], required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    comment: { type: mongoose.Schema.Types.ObjectId, default: null },
+    actors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    read: { type: Boolean, default: false },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now }
+});
+notificationSchema.index({ recipient: 1, updated_at: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// Follow Schema (follower กดติดตาม following) หนึ่งคู่มีได้เอกสารเดียว
+const followSchema = new mongoose.Schema({
+    follower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    following: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    created_at: { type: Date, default: Date.now }
+});
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1 });
+const Follow = mongoose.model('Follow', followSchema);
+
+// Collection Schema (กลุ่มของโพสต์ที่บันทึกไว้ เห็นได้แค่เจ้าของ)
+const collectionSchema = new mongoose.Schema({
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true },
+    created_at: { type: Date, default: Date.now }
+});
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+const Collection = mongoose.model('Collection', collectionSchema);
+
+// Bookmark Schema (บันทึกโพสต์ไว้อ่านทีหลัง) หนึ่งโพสต์อยู่ได้ไม่เกินหนึ่ง collection, null = ไม่ได้จัดกลุ่ม
+// ชื่อ field เป็น collectionId เพราะ "collection" เป็นชื่อที่ mongoose ใช้เองใน document
+const bookmarkSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+    collectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Collection', default: null },
+    created_at: { type: Date, default: Date.now }
+});
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, created_at: -1, _id: -1 });
+bookmarkSchema.index({ user: 1, collectionId: 1, created_at: -1, _id: -1 });
+bookmarkSchema.index({ post: 1 });
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+// Conversation Schema (คุยกันสองคน) key = id ของสองคนเรียงกัน ทำให้แต่ละคู่มีห้องเดียว
+const conversationSchema = new mongoose.Schema({
+    participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    key: { type: String, required: true, unique: true },
+    lastMessage: {
+        text: { type: String },
+        sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now } // เวลาข้อความล่าสุด ใช้เรียงรายการห้อง
+});
+conversationSchema.index({ participants: 1, updated_at: -1 });
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+// Message Schema (post = โพสต์ที่ทักมาถาม ถ้าเริ่มจากปุ่ม "Message author")
+const messageSchema = new mongoose.Schema({
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, required: true },
+    post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+    readAt: { type: Date, default: null },
+    created_at: { type: Date, default: Date.now }
+});
+messageSchema.index({ conversation: 1, _id: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+const Message = mongoose.model('Message', messageSchema);
+
+// --- 5. Auth Middleware ---
+// role / suspended ล่าสุดของ user ใช้แทนค่าใน JWT ที่อาจเก่าได้ถึง ACCESS_TOKEN_TTL
+// cache ไว้ใน memory ของ process นี้ AUTH_STATE_CACHE_MS การเปลี่ยนจาก admin ในเครื่องนี้ล้าง cache ทันที
+const AUTH_STATE_CACHE_MS = 30 * 1000;
+const AUTH_STATE_CACHE_MAX = 10000;
+const authStateCache = new Map(); // user id -> { exists, role, suspended, loadedAt }
+
+const loadAuthState = async (userId) => {
+    const cached = authStateCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < AUTH_STATE_CACHE_MS) return cached;
+
+    const user = await User.findById(userId).select('role suspended').lean();
+    const state = { exists: Boolean(user), role: user?.role, suspended: Boolean(user?.suspended), loadedAt: Date.now() };
+    if (authStateCache.size >= AUTH_STATE_CACHE_MAX) authStateCache.clear();
+    authStateCache.set(userId, state);
+    return state;
+};
+
+const forgetAuthState = (userId) => authStateCache.delete(String(userId));
+
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return sendFail(res, 401, "No Token", 'AUTH_REQUIRED');
+
+    jwt.verify(token, SECRET_KEY, async (err, user) => {
+        if (err) return sendFail(res, 403, "Invalid Token", 'AUTH_INVALID');
+        try {
+            const state = await loadAuthState(user.id);
+            if (!state.exists) return sendFail(res, 403, "Invalid Token", 'AUTH_INVALID');
+            if (state.suspended) return sendFail(res, 403, "Account suspended", 'ACCOUNT_SUSPENDED');
+            req.user = { ...user, role: state.role };
+            next();
+        } catch (lookupErr) {
+            sendError(res, lookupErr);
+        }
+    });
+};
+
+// เหมือน authenticateToken แต่ไม่มี token ก็ผ่านได้ (req.user = null) ใช้กับ route อ่านอย่างเดียวที่คนทั่วไปเปิดได้
+// ส่ง token มาแต่ใช้ไม่ได้ยังตอบ 403 เหมือนเดิม client จะได้ refresh แล้วลองใหม่
+const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    if (!authHeader) {
+        req.user = null;
+        return next();
+    }
+    authenticateToken(req, res, next);
+};
+
+// filter เพิ่มสำหรับรายการโพสต์: คนที่ไม่ได้ login เห็นเฉพาะโพสต์ public
+const visibleTo = (user) => (user ? {} : { visibility: 'public' });
+
+// เปิดดูโพสต์นี้ได้ไหม คืน null ถ้าได้ ไม่งั้นคืน { status, body } ที่จะตอบกลับ
+// โพสต์ที่ถูกซ่อน / draft / scheduled เห็นแค่เจ้าของกับ admin ส่วน expired ยังเปิดจากลิงก์ได้ (หน้าเว็บบอกว่าหมดอายุแล้ว)
+const postAccessError = (post, user) => {
+    const isOwner = Boolean(user) && String(post.owner?._id || post.owner) === user.id;
+    if ((post.hidden || post.status === 'draft' || post.status === 'scheduled') && user?.role !== 'admin' && !isOwner) {
+        return { status: 404, body: { code: 'NOT_FOUND', message: 'Post not found' } };
+    }
+    // ลิงก์โพสต์สมาชิกที่ถูกแชร์ออกไป บอกให้ login แทน 404 หน้าเว็บจะได้พาไป login แล้วกลับมาที่โพสต์นี้
+    if (!user && post.visibility !== 'public') {
+        return { status: 401, body: { code: 'LOGIN_REQUIRED', message: "Log in to view this post" } };
+    }
+    return null;
+};
+
+// comment / reaction / บันทึกโพสต์ ต้องเปิดโพสต์นั้นได้ก่อน และโพสต์ที่หมดอายุแล้วอ่านได้อย่างเดียว
+const postInteractionError = (post, user) => {
+    const accessError = postAccessError(post, user);
+    if (accessError) return accessError;
+    if (post.status === 'expired' || (post.expiresAt && post.expiresAt <= new Date())) {
+        return { status: 403, body: { code: 'POST_EXPIRED', message: "This post has expired" } };
+    }
+    return null;
+};
+
+// รายการโพสต์สาธารณะแสดงเฉพาะที่เผยแพร่แล้วและยังไม่หมดอายุ
+// เช็ค expiresAt ตรงนี้ด้วย เพราะ scheduler เปลี่ยน status ช้ากว่าเวลาจริงได้ถึงหนึ่งรอบ
+const livePosts = () => ({ status: 'published', expiresAt: { $not: { $lte: new Date() } } });
+
+// Admin only (เช็ค role จาก DB เพราะ role ใน token อาจเก่าแล้ว)
+const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('role suspended');
+        if (!user || user.role !== 'admin' || user.suspended) {
+            return sendFail(res, 403, "Admin only", 'ADMIN_ONLY');
+        }
+        next();
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// ต้องยืนยันอีเมลแล้ว (เช็คจาก DB เพราะ user อาจเพิ่งกดลิงก์ยืนยันหลังได้ token มา)
+const requireVerified = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('verified');
+        if (!user || !user.verified) {
+            return sendFail(res, 403, "Verify your email before posting", 'EMAIL_NOT_VERIFIED');
+        }
+        next();
+    } catch (err) {
+        sendError(res, err);
+    }
+};
+
+// --- Token Helpers ---
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ออก access token (JWT อายุสั้น) คู่กับ refresh token ใหม่ที่เก็บไว้ฝั่ง server
+const issueTokens = async (user) => {
+    const token = jwt.sign(
+        { id: user._id, role: user.role, fullname: user.fullname, email: user.email },
+        SECRET_KEY,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await RefreshToken.create({
+        tokenHash: hashToken(refreshToken),
+        user: user._id,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, refreshToken };
+};
+
+// กัน regex injection เวลาเอาคำค้นของ user ไปใส่ใน $regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Account Email Helpers ---
+const EMAIL_VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFY_TTL_HOURS) || 48;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// ออก token ใหม่ ตัวเก่าที่ยังไม่ได้ใช้ของจุดประสงค์เดียวกันถูกลบ (ลิงก์ในเมลล่าสุดเท่านั้นที่ใช้ได้)
+const issueAuthToken = async (user, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.deleteMany({ user: user._id, purpose, usedAt: null });
+    await AuthToken.create({
+        tokenHash: hashToken(token),
+        user: user._id,
+        purpose,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+// ใช้ token คืน AuthToken ที่เพิ่งใช้ หรือ null ถ้าไม่มี หมดอายุ หรือใช้ไปแล้ว
+// อัปเดตใน query เดียว request ที่ส่ง token เดียวกันมาพร้อมกันจะผ่านได้แค่อันเดียว
+const consumeAuthToken = (token, purpose) => AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+);
+
+const invalidTokenError = (res) =>
+    res.status(400).json({ code: 'INVALID_TOKEN', message: "This link is invalid or has expired" });
+
+// ส่งเมลไม่สำเร็จแค่ log ไว้ ไม่ให้ request ล้ม (เช่นสมัครสำเร็จไปแล้ว) user กดขอส่งใหม่ได้
+const sendAccountMail = async (user, subject, lines) => {
+    try {
+        await mailer.send({ to: user.email, subject, text: lines.join('\n') });
+    } catch (err) {
+        console.error(`Failed to send "${subject}" to ${user.email}:`, err.message);
+    }
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueAuthToken(user, 'verify_email', EMAIL_VERIFY_TTL_HOURS * 60 * 60 * 1000);
+    await sendAccountMail(user, 'Verify your Baanboard email', [
+        `Hi ${user.fullname},`,
+        '',
+        'Confirm your email address to start posting on Baanboard:',
+        `${APP_URL}/login?verify=${token}`,
+        '',
+        `This link expires in ${EMAIL_VERIFY_TTL_HOURS} hours. If you did not sign up, you can ignore this email.`
+    ]);
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAuthToken(user, 'reset_password', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await sendAccountMail(user, 'Reset your Baanboard password', [
+        `Hi ${user.fullname},`,
+        '',
+        'Someone asked to reset the password of your Baanboard account. Choose a new password here:',
+        `${APP_URL}/login?reset=${token}`,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once. If it was not you, ignore this email and your password stays the same.`
+    ]);
+};
+
+// --- Rate Limit Helpers ---
+// นับแบบ fixed window: key แต่ละตัวนับได้ max ครั้งต่อ windowMs เกินแล้วตอบ 429 พร้อม Retry-After
+// ที่เก็บตัวนับเลือกจาก RATE_LIMIT_STORE: 'memory' (ค่าเริ่มต้น นับแยกกันในแต่ละ process)
+// หรือ 'mongo' (เก็บใน collection ratelimits ใช้ร่วมกันได้หลาย instance)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const rateLimitStores = {
+    memory: () => {
+        const hits = new Map();
+        // เก็บกวาด key ที่หมดหน้าต่างแล้ว ไม่ให้ Map โตไปเรื่อยๆ
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, hit] of hits) if (hit.resetAt <= now) hits.delete(key);
+        }, 60 * 1000).unref();
+
+        return {
+            increment: async (key, windowMs) => {
+                const now = Date.now();
+                let hit = hits.get(key);
+                if (!hit || hit.resetAt <= now) {
+                    hit = { count: 0, resetAt: now + windowMs };
+                    hits.set(key, hit);
+                }
+                hit.count++;
+                return { count: hit.count, resetAt: hit.resetAt };
+            },
+            reset: async (key) => {
+                hits.delete(key);
+            }
+        };
+    },
+
+    mongo: () => ({
+        increment: async (key, windowMs) => {
+            const now = new Date();
+            const active = { $gt: ['$resetAt', now] };
+            // เริ่มหน้าต่างใหม่หรือบวกเพิ่มใน update เดียว instance ที่นับพร้อมกันจะไม่ทับกัน
+            const hit = await RateLimit.collection.findOneAndUpdate(
+                { _id: key },
+                [{
+                    $set: {
+                        count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, returnDocument: 'after' }
+            );
+            return { count: hit.count, resetAt: hit.resetAt.getTime() };
+        },
+        reset: async (key) => {
+            await RateLimit.collection.deleteOne({ _id: key });
+        }
+    })
+};
+
+if (!rateLimitStores[RATE_LIMIT_STORE]) throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+
+const rateLimitStore = rateLimitStores[RATE_LIMIT_STORE]();
+
+// ค่า limit ตั้งทับได้ด้วย env RATE_LIMIT_<NAME>=<จำนวนครั้ง>/<วินาที> เช่น RATE_LIMIT_LOGIN_IP=20/900
+const rateLimitConfig = (name, max, windowSeconds) => {
+    const [envMax, envWindow] = (process.env[`RATE_LIMIT_${name}`] || '').split('/').map(Number);
+    return { name: name.toLowerCase(), max: envMax || max, windowMs: (envWindow || windowSeconds) * 1000 };
+};
+
+// _IP = นับต่อ IP, _USER = นับต่อบัญชีที่ login อยู่
+const RATE_LIMITS = {
+    loginIp: rateLimitConfig('LOGIN_IP', 20, 15 * 60),
+    registerIp: rateLimitConfig('REGISTER_IP', 5, 60 * 60),
+    accountMailIp: rateLimitConfig('ACCOUNT_MAIL_IP', 5, 60 * 60),
+    commentIp: rateLimitConfig('COMMENT_IP', 30, 60),
+    commentUser: rateLimitConfig('COMMENT_USER', 10, 60),
+    likeIp: rateLimitConfig('LIKE_IP', 120, 60),
+    likeUser: rateLimitConfig('LIKE_USER', 60, 60),
+    followUser: rateLimitConfig('FOLLOW_USER', 30, 60),
+    messageUser: rateLimitConfig('MESSAGE_USER', 30, 60)
+};
+
+// รหัสผิดครบ LOGIN_MAX_FAILURES ครั้งภายใน LOGIN_FAILURE_WINDOW_MINUTES = ล็อกบัญชี LOGIN_LOCKOUT_MINUTES นาที
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const tooManyRequests = (res, retryAt, code, message) => {
+    const retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ code, message, retryAfter });
+};
+
+// middleware นับ request ตาม limit (ดู RATE_LIMITS) perUser = นับต่อ req.user ต้องอยู่หลัง authenticateToken
+const rateLimit = ({ name, max, windowMs }, { perUser = false } = {}) => async (req, res, next) => {
+    const id = perUser ? req.user.id : req.ip;
+    try {
+        const { count, resetAt } = await rateLimitStore.increment(`${name}:${id}`, windowMs);
+        if (count > max) {
+            return tooManyRequests(res, resetAt, 'RATE_LIMITED', "Too many requests. Please slow down and try again later");
+        }
+    } catch (err) {
+        // ที่เก็บตัวนับล่มไม่ควรทำให้ทั้งระบบใช้ไม่ได้ ปล่อยผ่านแล้ว log ไว้
+        console.error(`Rate limit ${name} failed:`, err.message);
+    }
+    next();
+};
+
+const accountLocked = (res, lockedUntil) => tooManyRequests(res, lockedUntil.getTime(), 'ACCOUNT_LOCKED',
+    "Too many failed logins. This account is locked for now, try again later or reset your password");
+
+// นับรหัสผิดของบัญชีนี้ ครบแล้วล็อกบัญชีและส่งเมลบอกเจ้าของ คืนเวลาปลดล็อก (ยังไม่ล็อก = null)
+const recordFailedLogin = async (user) => {
+    const key = `login-failure:${user._id}`;
+    const { count } = await rateLimitStore.increment(key, LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000);
+    if (count < LOGIN_MAX_FAILURES) return null;
+
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { lockedUntil });
+    await rateLimitStore.reset(key);
+    await sendAccountMail(user, 'Your Baanboard account was locked', [
+        `Hi ${user.fullname},`,
+        '',
+        `We locked your account for ${LOGIN_LOCKOUT_MINUTES} minutes after ${count} failed login attempts.`,
+        `If this was not you, reset your password: ${APP_URL}/login`
+    ]);
+    return lockedUntil;
+};
+
+// --- Validation Helpers ---
+// ทุก route ประกาศ rule ของ params / query / body แล้วใช้ validate() เป็น middleware
+// ไม่ผ่านตอบ 400 { code: 'VALIDATION_ERROR', message, fields: { ชื่อ field: ข้อความ } } เหมือนกันทุก route
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// มือถือ 06/08/09 ตามด้วย 8 หลัก หรือเบอร์บ้าน 02-07 ตามด้วย 7 หลัก
+const THAI_PHONE_PATTERN = /^0(?:[689]\d{8}|[2-7]\d{7})$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt อ่านแค่ 72 byte แรก
+
+const validationError = (res, fields) => res.status(400).json({
+    code: 'VALIDATION_ERROR',
+    message: Object.values(fields)[0],
+    fields
+});
+
+// error อื่นที่ไม่ใช่ validation ตอบ { code, message } แบบเดียวกัน ไม่ระบุ code ใช้ตาม status
+const ERROR_CODES = { 400: 'BAD_REQUEST', 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'NOT_FOUND' };
+const sendFail = (res, status, message, code = ERROR_CODES[status]) => res.status(status).json({ code, message });
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// คืน { value } ถ้าผ่าน (value = ค่าที่ clean แล้ว, undefined = ใช้ค่าเดิม) หรือ { error }
+const checkField = (key, rule, raw) => {
+    const label = rule.label || key.charAt(0).toUpperCase() + key.slice(1);
+    if (isBlank(raw)) return rule.required ? { error: `${label} is required` } : {};
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string') return { error: `${label} must be text` };
+            const value = raw.trim();
+            if (rule.min && value.length < rule.min) return { error: `${label} must be at least ${rule.min} characters` };
+            if (rule.max && value.length > rule.max) return { error: `${label} must be at most ${rule.max} characters` };
+            if (rule.values && !rule.values.includes(value)) return { error: `${label} must be one of: ${rule.values.join(', ')}` };
+            if (rule.pattern && !rule.pattern.test(value)) return { error: `Invalid ${key}` };
+            return { value };
+        }
+        case 'email': {
+            const value = typeof raw === 'string' ? raw.trim() : '';
+            if (value.length > 254 || !EMAIL_PATTERN.test(value)) return { error: 'Invalid email format' };
+            return { value };
+        }
+        case 'phone': {
+            // รับ 081-234-5678 / 081 234 5678 / +66812345678 แล้วเก็บเป็น 0812345678
+            const value = String(raw).replace(/[\s-]/g, '').replace(/^\+66/, '0');
+            if (!THAI_PHONE_PATTERN.test(value)) return { error: `${label} must be a Thai phone number, e.g. 0812345678` };
+            return { value };
+        }
+        case 'password': {
+            // ไม่ trim รหัสผ่าน ช่องว่างนับเป็นตัวอักษรด้วย
+            if (typeof raw !== 'string') return { error: `${label} must be text` };
+            if (raw.length < PASSWORD_MIN_LENGTH) return { error: `${label} must be at least ${PASSWORD_MIN_LENGTH} characters` };
+            if (raw.length > PASSWORD_MAX_LENGTH) return { error: `${label} must be at most ${PASSWORD_MAX_LENGTH} characters` };
+            if (!/[A-Za-z]/.test(raw) || !/\d/.test(raw)) return { error: `${label} must contain both letters and numbers` };
+            return {};
+        }
+        case 'objectId':
+            return typeof raw === 'string' && OBJECT_ID_PATTERN.test(raw) ? {} : { error: `Invalid ${key}` };
+        case 'objectIds':
+            if (!Array.isArray(raw) || !raw.every(id => typeof id === 'string' && OBJECT_ID_PATTERN.test(id))) {
+                return { error: `${label} must be a list of ids` };
+            }
+            if (rule.max && raw.length > rule.max) return { error: `${label} must have at most ${rule.max} items` };
+            return {};
+        case 'int': {
+            const value = Number(raw);
+            if (!Number.isInteger(value)) return { error: `${label} must be a whole number` };
+            if (rule.min !== undefined && value < rule.min) return { error: `${label} must be at least ${rule.min}` };
+            return { value };
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `${label} must be true or false` };
+        case 'date':
+            return isNaN(new Date(raw).getTime()) ? { error: `${label} must be a valid date` } : {};
+        case 'tags': {
+            // array หรือ string คั่นด้วย comma เหมือน parseTags
+            const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(t => String(t).trim()).filter(Boolean);
+            if (list.length > MAX_TAGS_PER_POST) return { error: `At most ${MAX_TAGS_PER_POST} tags are allowed` };
+            if (list.some(t => t.length > MAX_TAG_LENGTH)) return { error: `Each tag must be at most ${MAX_TAG_LENGTH} characters` };
+            return {};
+        }
+        case 'gallery': {
+            // multipart ส่งมาเป็น JSON string ส่วน JSON body ส่ง array มาได้เลย
+            let list = raw;
+            if (typeof raw === 'string') {
+                try { list = JSON.parse(raw); } catch { return { error: `${label} must be valid JSON` }; }
+            }
+            if (!Array.isArray(list)) return { error: `${label} must be a list` };
+
+            const isValidEntry = (entry) => entry && typeof entry === 'object'
+                && (entry._id === undefined) !== (entry.upload === undefined)
+                && (entry._id === undefined || (typeof entry._id === 'string' && OBJECT_ID_PATTERN.test(entry._id)))
+                && (entry.upload === undefined || (Number.isInteger(entry.upload) && entry.upload >= 0))
+                && ['caption', 'alt'].every(k => entry[k] === undefined || typeof entry[k] === 'string');
+            if (!list.every(isValidEntry)) return { error: `Each ${key} item needs either _id or upload, plus optional caption and alt` };
+            if (list.length > MAX_POST_IMAGES) return { error: `At most ${MAX_POST_IMAGES} images are allowed` };
+            if (list.some(e => (e.caption || '').trim().length > MAX_CAPTION_LENGTH)) {
+                return { error: `Captions must be at most ${MAX_CAPTION_LENGTH} characters` };
+            }
+            if (list.some(e => (e.alt || '').trim().length > MAX_ALT_LENGTH)) {
+                return { error: `Alt text must be at most ${MAX_ALT_LENGTH} characters` };
+            }
+            return {
+                value: list.map(({ _id, upload, caption, alt }) => ({ _id, upload, caption: caption?.trim(), alt: alt?.trim() }))
+            };
+        }
+        default:
+            throw new Error(`Unknown validation type: ${rule.type}`);
+    }
+};
+
+// schema = { params, query, body } แต่ละอันเป็น { ชื่อ field: rule }
+const validate = (schema) => (req, res, next) => {
+    const fields = {};
+    ['params', 'query', 'body'].forEach(source => {
+        if (!schema[source]) return;
+        const input = req[source] || {};
+        Object.entries(schema[source]).forEach(([key, rule]) => {
+            const { value, error } = checkField(key, rule, input[key]);
+            if (error) fields[key] = error;
+            else if (value !== undefined) input[key] = value;
+        });
+    });
+
+    if (Object.keys(fields).length) {
+        // multer upload ไฟล์ไปแล้วก่อนถึงตรงนี้ request ไม่ผ่านก็ไม่ต้องเก็บไว้ (removeMedia ไม่ throw)
+        const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+        removeMedia(files.map(uploadedImage).flatMap(mediaUrls));
+        return validationError(res, fields);
+    }
+    next();
+};
+
+// rule ที่ใช้ซ้ำหลาย route
+const idParams = { params: { id: { type: 'objectId', required: true } } };
+// limit / cursor ของทุก route ที่ใช้ parsePagination (route ที่มี query อื่นด้วยใส่ ...pageQuery.query)
+// parsePagination แค่ถอดรหัส cursor ต่อ
+const pageQuery = {
+    query: {
+        limit: { type: 'int', min: 1 },
+        cursor: { type: 'string', max: 200 }
+    }
+};
+const commentParams = {
+    params: {
+        id: { type: 'objectId', required: true },
+        commentId: { type: 'objectId', required: true }
+    }
+};
+const accountBody = {
+    fullname: { type: 'string', required: true, max: 100, label: 'Full name' },
+    email: { type: 'email', required: true },
+    tel: { type: 'phone', required: true, label: 'Phone number' },
+    password: { type: 'password', required: true }
+};
+const postBody = (required) => ({
+    title: { type: 'string', required, max: 200 },
+    content: { type: 'string', required, max: 10000 },
+    tags: { type: 'tags' },
+    tag: { type: 'tags' },
+    gallery: { type: 'gallery' },
+    visibility: { type: 'string', values: POST_VISIBILITIES },
+    // expired ตั้งเองไม่ได้ มาจาก expiresAt เท่านั้น
+    status: { type: 'string', values: POST_STATUSES.filter(s => s !== 'expired') },
+    publishAt: { type: 'date', label: 'Publish time' },
+    expiresAt: { type: 'date', label: 'Expiry time' }
+});
+const listQuery = {
+    page: { type: 'int', min: 1 },
+    limit: { type: 'int', min: 1 }
+};
+
+// error ที่หลุดมาถึง catch: ValidationError / CastError ของ Mongoose ถือเป็น input ผิด ที่เหลือเป็น 500
+const sendError = (res, err) => {
+    if (err.fields) return validationError(res, err.fields);
+    if (err instanceof mongoose.Error.ValidationError) {
+        const fields = {};
+        Object.entries(err.errors).forEach(([path, e]) => { fields[path] = e.message; });
+        return validationError(res, fields);
+    }
+    if (err instanceof mongoose.Error.CastError) return validationError(res, { [err.path]: `Invalid ${err.path}` });
+
+    console.error(err);
+    res.status(500).json({ code: 'SERVER_ERROR', message: 'Internal server error' });
+};
+
+// --- Media Helpers ---
+// ไฟล์ที่ยังไม่มีเอกสารไหนอ้างถึงแต่อายุน้อยกว่านี้จะยังไม่ลบ (อาจเป็นไฟล์ที่เพิ่ง upload แต่ยังบันทึกไม่เสร็จ)
+const MEDIA_ORPHAN_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS) || 24;
+
+// รูปจากไฟล์ที่ multer รับมา ในรูปแบบเดียวกับที่เก็บใน DB
+const uploadedImage = (file) => ({ url: file.path, variants: file.variants || [] });
+
+// URL ทุกไฟล์ของรูปหนึ่งรูป (ตัวหลักและทุกขนาด)
+const mediaUrls = ({ url, variants = [] }) => [...new Set([url, ...variants.map(v => v.url)].filter(Boolean))];
+
+// ลบรูปที่ไม่ใช้แล้ว ถ้าลบไม่สำเร็จแค่ log ไว้ ไม่ให้ request ล้ม (reconcileMedia จะตามเก็บทีหลัง)
+const removeMedia = async (urls) => {
+    const ids = urls.filter(Boolean).map(url => mediaStorage.idFromUrl(url)).filter(Boolean);
+    await Promise.all(ids.map(id =>
+        mediaStorage.remove(id).catch(err => console.error(`Failed to remove media ${id}:`, err.message))
+    ));
+};
+
+// URL รูปทุกอันที่ยังมีเอกสารอ้างถึง
+const referencedMediaIds = async () => {
+    const urls = await Promise.all([
+        Post.distinct('image'),
+        Post.distinct('images.url'),
+        Post.distinct('images.variants.url'),
+        User.distinct('profileImage'),
+        User.distinct('profileImageVariants.url'),
+        PostRevision.distinct('before.images.url'),
+        PostRevision.distinct('before.images.variants.url'),
+        PostRevision.distinct('after.images.url'),
+        PostRevision.distinct('after.images.variants.url')
+    ]);
+    return new Set(urls.flat().filter(Boolean).map(url => mediaStorage.idFromUrl(url)));
+};
+
+// หาไฟล์ใน storage ที่ไม่มีใครอ้างถึงและเก่ากว่า grace period แล้วลบทิ้ง (dryRun = แค่รายงาน)
+const reconcileMedia = async ({ dryRun = false, graceHours = MEDIA_ORPHAN_GRACE_HOURS } = {}) => {
+    const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+    // list ก่อนค่อยดู reference ไฟล์ที่ upload ระหว่างนี้จะใหม่กว่า cutoff อยู่แล้ว
+    const assets = await mediaStorage.list();
+    const referenced = await referencedMediaIds();
+
+    const orphans = assets.filter(a => !referenced.has(a.id));
+    const expired = orphans.filter(a => a.createdAt < cutoff);
+    if (!dryRun) await Promise.all(expired.map(a => mediaStorage.remove(a.id)));
+
+    return {
+        scanned: assets.length,
+        orphaned: orphans.length,
+        removed: dryRun ? [] : expired.map(a => a.id),
+        pending: orphans.filter(a => a.createdAt >= cutoff).map(a => a.id)
+    };
+};
+
+// --- Pagination Helpers ---
+// รายการแบ่งหน้าตาม (created_at, _id) โพสต์ที่เวลาเดียวกันจะได้ไม่ถูกข้ามหรือซ้ำ
+// cursor เก็บทิศทางที่เรียงไว้ด้วย (-1 = ใหม่สุดก่อน, 1 = เก่าสุดก่อน) เอาไปใช้กับการเรียงอีกแบบไม่ได้
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 50;
+
+const encodeCursor = (post, direction = -1) =>
+    Buffer.from(JSON.stringify([post.created_at, post._id, direction])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [createdAt, id, direction] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const created_at = new Date(createdAt);
+        if (isNaN(created_at.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+        if (direction !== -1 && direction !== 1) return null;
+        return { created_at, id: new mongoose.Types.ObjectId(id), direction };
+    } catch {
+        return null;
+    }
+};
+
+// ใช้ throw จาก helper ที่ไม่มี res ให้ sendError ตอบเป็น validation error
+const invalidInput = (fields) => Object.assign(new Error('Invalid input'), { fields });
+
+// อ่าน ?limit= และ ?cursor= แล้วเก็บไว้ที่ req.page
+// ขนาดหน้าจาก ?limit= ไม่ส่งมา = DEFAULT_PAGE_LIMIT, เกิน MAX_PAGE_LIMIT = ตัดเหลือ MAX_PAGE_LIMIT
+// ค่าที่ไม่ใช่จำนวนบวกถูก validate() ตีกลับไปก่อนแล้ว ถ้าหลุดมาถึงตรงนี้ก็ใช้ค่า default
+const pageLimit = (raw) => {
+    const parsed = parseInt(raw, 10);
+    return parsed > 0 ? Math.min(parsed, MAX_PAGE_LIMIT) : DEFAULT_PAGE_LIMIT;
+};
+
+const parsePagination = (req, res, next) => {
+    const { limit, cursor } = req.query;
+    req.page = { limit: pageLimit(limit), cursor: null };
+
+    if (cursor) {
+        req.page.cursor = decodeCursor(cursor);
+        if (!req.page.cursor) return validationError(res, { cursor: "Invalid cursor" });
+    }
+    next();
+};
+
+// คืนค่าเป็น { items, nextCursor } ให้ทุก route ที่เป็นรายการโพสต์
+// โพสต์ในถังขยะไม่อยู่ในรายการไหนเลย ยกเว้น route ถังขยะที่ส่ง deletedAt มาเอง
+// รายการใช้ตัวนับที่เก็บไว้ ไม่โหลด reactions / comments (เปิด /post/:id ถึงจะได้ทั้งหมด)
+const findPostsPage = async (filter, { limit, cursor }, direction = -1) => {
+    if (cursor && cursor.direction !== direction) throw invalidInput({ cursor: "Cursor belongs to a different sort order" });
+    const query = { deletedAt: null, ...filter };
+    if (cursor) {
+        const op = direction === -1 ? '$lt' : '$gt';
+        query.$and = [{
+            $or: [
+                { created_at: { [op]: cursor.created_at } },
+                { created_at: cursor.created_at, _id: { [op]: cursor.id } }
+            ]
+        }];
+    }
+
+    const posts = await Post.find(query)
+        .select('-reactions -comments')
+        .populate('owner', 'fullname role profileImage')
+        .sort({ created_at: direction, _id: direction })
+        .limit(limit + 1);
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    return {
+        items: page.map(p => p.toObject()),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], direction) : null
+    };
+};
+
+// --- Tag Helpers ---
+const MAX_TAGS_PER_POST = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_COLORS = ['#47A19C', '#E07A5F', '#3D5A80', '#F2CC8F', '#81B29A', '#9C6ADE', '#E5989B', '#6D6875'];
+
+const normalizeTag = (tag) => tag.trim().toLowerCase();
+
+// รับได้ทั้ง array และ string คั่นด้วย comma คืนค่า [{ name, displayName }] ไม่ซ้ำกัน
+const parseTags = (input) => {
+    const raw = Array.isArray(input) ? input : String(input || '').split(',');
+    const seen = new Map();
+    raw.map(t => String(t).trim()).filter(Boolean).forEach(displayName => {
+        const name = normalizeTag(displayName);
+        if (!seen.has(name)) seen.set(name, { name, displayName });
+    });
+    return [...seen.values()].slice(0, MAX_TAGS_PER_POST);
+};
+
+// สีเริ่มต้นของ tag ใหม่ สุ่มจากชื่อแบบคงที่ เปลี่ยนทีหลังได้ที่ /admin/tags/:name
+const defaultTagColor = (name) => {
+    const hash = [...name].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 0);
+    return TAG_COLORS[hash % TAG_COLORS.length];
+};
+
+// อัปเดต usageCount ตาม tag ที่เพิ่ม/ลบออกจากโพสต์ (added เป็น [{ name, displayName }], removed เป็นชื่อ)
+const adjustTagCounts = async (added = [], removed = []) => {
+    const ops = [
+        ...added.map(({ name, displayName }) => ({
+            updateOne: {
+                filter: { name },
+                update: {
+                    $inc: { usageCount: 1 },
+                    $setOnInsert: { displayName, color: defaultTagColor(name) }
+                },
+                upsert: true
+            }
+        })),
+        ...removed.map(name => ({
+            updateOne: { filter: { name }, update: { $inc: { usageCount: -1 } } }
+        }))
+    ];
+    if (ops.length) await Tag.bulkWrite(ops);
+};
+
+// ลบโพสต์หลายอันพร้อมลด usageCount ของ tag ที่โพสต์เหล่านั้นใช้ และลบรูปของโพสต์ทิ้ง
+const deletePostsAndTags = async (filter) => {
+    const posts = await Post.find(filter).select('tags image images');
+    if (posts.length === 0) return;
+    const postIds = posts.map(p => p._id);
+    // รูปเก่าที่เอาออกจากโพสต์ไปแล้วยังเก็บไว้ให้ย้อน revision ได้ ลบไปพร้อมกันตรงนี้
+    const revisionMedia = await revisionImageUrls(postIds);
+    await Post.deleteMany({ _id: { $in: postIds } });
+    await Bookmark.deleteMany({ post: { $in: postIds } });
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+    await adjustTagCounts([], posts.flatMap(p => p.tags));
+    await removeMedia([...new Set([...posts.flatMap(postImageUrls), ...revisionMedia])]);
+};
+
+// --- Gallery Helpers ---
+const MAX_CAPTION_LENGTH = 300;
+const MAX_ALT_LENGTH = 200;
+
+// URL ไฟล์ทั้งหมดของโพสต์ ทุกขนาด (รวม image เดี่ยวของโพสต์เก่าที่ยังไม่ได้ migrate)
+const postImageUrls = (post) => [...new Set([post.image, ...(post.images || []).flatMap(mediaUrls)].filter(Boolean))];
+
+// รูปที่ upload มากับ request ตามลำดับที่ส่ง (`images` ก่อน แล้วค่อย `image` แบบเดิม)
+const uploadedImages = (req) =>
+    [...(req.files?.images || []), ...(req.files?.image || [])].map(uploadedImage);
+
+// สร้างแกลเลอรีใหม่จาก `gallery`: { _id } = รูปเดิม, { upload: n } = ไฟล์ที่ upload มาลำดับที่ n (เริ่ม 0)
+// รูปเดิมที่ไม่อยู่ในรายการถือว่าลบ ไม่ส่ง gallery = รูปเดิมทั้งหมดแล้วต่อท้ายด้วยไฟล์ใหม่
+// คืน { images } หรือ { error }
+const buildGallery = (current, gallery, uploads) => {
+    if (!gallery) {
+        const images = [
+            ...current.map(({ _id, url, variants, caption, alt }) => ({ _id, url, variants, caption, alt })),
+            ...uploads.map(upload => ({ ...upload, caption: '', alt: '' }))
+        ];
+        if (images.length > MAX_POST_IMAGES) return { error: `At most ${MAX_POST_IMAGES} images are allowed` };
+        return { images };
+    }
+
+    const images = [];
+    const used = new Set();
+    for (const entry of gallery) {
+        const key = entry._id ? `id:${entry._id}` : `upload:${entry.upload}`;
+        if (used.has(key)) return { error: "Each image can appear only once" };
+        used.add(key);
+
+        if (entry._id) {
+            const existing = current.find(img => img._id.toString() === entry._id);
+            if (!existing) return { error: `Image ${entry._id} is not part of this post` };
+            images.push({
+                _id: existing._id,
+                url: existing.url,
+                variants: existing.variants,
+                caption: entry.caption ?? existing.caption,
+                alt: entry.alt ?? existing.alt
+            });
+        } else {
+            if (entry.upload >= uploads.length) return { error: `Upload ${entry.upload} was not sent` };
+            images.push({ ...uploads[entry.upload], caption: entry.caption ?? '', alt: entry.alt ?? '' });
+        }
+    }
+    return { images };
+};
+
+// --- Schedule Helpers ---
+// ตั้ง status / publishAt / expiresAt ของโพสต์ตามที่ส่งมา คืน { field: ข้อความ } ถ้าไม่ถูกต้อง
+// ไม่ส่ง status = โพสต์ใหม่เผยแพร่เลย (หรือตั้งเวลาถ้ามี publishAt) โพสต์เดิมคง status ไว้
+// expiresAt เป็น "" = ล้างวันหมดอายุ
+const applySchedule = (post, { status, publishAt, expiresAt }) => {
+    const now = new Date();
+    if (!status && post.isNew) status = publishAt ? 'scheduled' : 'published';
+
+    if (expiresAt !== undefined) post.expiresAt = expiresAt ? new Date(expiresAt) : null;
+    if (expiresAt && post.expiresAt <= now) return { expiresAt: "Expiry time must be in the future" };
+
+    if (status === 'scheduled' || (!status && publishAt && post.status === 'scheduled')) {
+        const at = publishAt ? new Date(publishAt) : post.publishAt;
+        if (!at) return { publishAt: "Publish time is required for a scheduled post" };
+        if (at <= now) return { publishAt: "Publish time must be in the future" };
+        if (post.expiresAt && post.expiresAt <= at) return { expiresAt: "Expiry time must be after the publish time" };
+        post.status = 'scheduled';
+        post.publishAt = at;
+    } else if (status === 'published' && post.status !== 'published') {
+        // เผยแพร่ตอนนี้ = ขึ้นเป็นโพสต์ใหม่ล่าสุด
+        if (post.expiresAt && post.expiresAt <= now) return { expiresAt: "Set a new expiry time (or clear it) to publish this post again" };
+        post.status = 'published';
+        post.publishAt = null;
+        post.created_at = now;
+    } else if (status === 'draft') {
+        post.status = 'draft';
+        post.publishAt = null;
+    }
+    return null;
+};
+
+// --- Revision Helpers ---
+// field ที่เก็บประวัติการแก้ไข (status / เวลาเผยแพร่ไม่นับ เพราะไม่ได้เปลี่ยนเนื้อหา)
+const REVISION_FIELDS = ['title', 'content', 'tags', 'images', 'visibility'];
+
+// ค่าปัจจุบันของ field ที่เก็บประวัติ (โพสต์เก่าที่มีแค่ image นับเป็นรูปแรกของแกลเลอรี)
+const revisionSnapshot = (post) => ({
+    title: post.title,
+    content: post.content,
+    tags: [...post.tags],
+    images: post.images.length
+        ? post.images.map(img => img.toObject())
+        : (post.image ? [{ url: post.image, variants: [], caption: '', alt: '' }] : []),
+    visibility: post.visibility
+});
+
+// รูปเทียบกันแค่ url / caption / alt เพราะ _id ของรูปเก่าที่เพิ่งถูกย้ายเข้าแกลเลอรีเป็นของใหม่
+const revisionValue = (field, value) =>
+    JSON.stringify(field === 'images' ? (value || []).map(({ url, caption, alt }) => [url, caption, alt]) : value);
+
+const changedFields = (before, after) =>
+    REVISION_FIELDS.filter(field => revisionValue(field, before[field]) !== revisionValue(field, after[field]));
+
+const pickFields = (snapshot, fields) => Object.fromEntries(fields.map(field => [field, snapshot[field]]));
+
+// บันทึกการแก้ไขหลัง save แล้ว (before = snapshot ก่อนแก้) โพสต์ที่ยังไม่มีประวัติจะได้ original ก่อน
+const recordRevision = async (post, before, editorId, fields, extra = {}) => {
+    if (!(await PostRevision.exists({ post: post._id }))) {
+        await PostRevision.create({ post: post._id, editor: post.owner, kind: 'original', created_at: post.created_at });
+    }
+    const after = revisionSnapshot(post);
+    return PostRevision.create({
+        post: post._id,
+        editor: editorId,
+        fields,
+        before: pickFields(before, fields),
+        after: pickFields(after, fields),
+        ...extra
+    });
+};
+
+// ค่าของโพสต์ตอนหลัง revision นี้: เริ่มจากค่าปัจจุบัน แล้วย้อน revision ที่ใหม่กว่าทีละอันจากใหม่ไปเก่า
+const snapshotAfterRevision = async (post, revision) => {
+    const snapshot = revisionSnapshot(post);
+    const newer = await PostRevision.find({ post: post._id, _id: { $gt: revision._id } }).sort({ _id: -1 });
+    newer.forEach(r => r.fields.forEach(field => { snapshot[field] = r.before[field]; }));
+    return snapshot;
+};
+
+// URL รูปทุกขนาดที่ revision ของโพสต์เหล่านี้อ้างถึง (ลบพร้อมโพสต์ตอน purge)
+const revisionImageUrls = async (postIds) => {
+    const revisions = await PostRevision.find({ post: { $in: postIds }, fields: 'images' }).select('before.images after.images');
+    return revisions.flatMap(r => [...(r.before.images || []), ...(r.after.images || [])].flatMap(mediaUrls));
+};
+
+// --- Comment Helpers ---
+// คอมเมนต์เก็บแบบ flat ใน post.comments แล้วโยงกันด้วย parent
+const MAX_COMMENT_DEPTH = 3;
+
+const hasReplies = (post, comment) => post.comments.some(c => c.parent && c.parent.equals(comment._id));
+
+// ความลึกของคอมเมนต์ (คอมเมนต์บนสุด = 0)
+const commentDepth = (post, comment) => {
+    let depth = 0;
+    let current = comment;
+    while (current && current.parent) {
+        current = post.comments.id(current.parent);
+        depth++;
+    }
+    return depth;
+};
+
+// คอมเมนต์ที่ purge แล้วแต่ยังมีคนตอบอยู่ จะเหลือไว้เป็นข้อความนี้ไม่ให้ thread ขาด (กู้คืนไม่ได้แล้ว)
+const DELETED_COMMENT_TEXT = '[deleted]';
+
+const isPurgedComment = (comment) => Boolean(comment.deletedAt) && comment.text === DELETED_COMMENT_TEXT;
+
+// ย้ายคอมเมนต์ลงถังขยะ (ต้อง save เอง)
+const trashComment = (comment, userId) => {
+    comment.deletedAt = new Date();
+    comment.deletedBy = userId;
+};
+
+// ลบคอมเมนต์ในถังขยะออกจริง (ต้อง save เอง) ถ้ามีคนตอบอยู่จะเหลือไว้เป็น [deleted]
+// และถ้าลบ reply สุดท้ายของคอมเมนต์ที่เหลือเป็น [deleted] อยู่แล้ว ก็ลบคอมเมนต์นั้นทิ้งไปด้วย
+const purgeComment = (post, comment) => {
+    if (hasReplies(post, comment)) {
+        comment.text = DELETED_COMMENT_TEXT;
+        return;
+    }
+
+    let current = comment;
+    while (current) {
+        const parentId = current.parent;
+        post.comments.pull(current._id);
+        current = parentId ? post.comments.id(parentId) : null;
+        if (!current || !isPurgedComment(current) || hasReplies(post, current)) break;
+    }
+};
+
+// คอมเมนต์ที่ส่งให้ client: ตัดคอมเมนต์ในถังขยะออก ถ้ายังมีคอมเมนต์ที่ไม่ถูกลบตอบอยู่ให้เหลือเป็น [deleted]
+// โดยไม่ส่งข้อความเดิมกับเจ้าของออกไป (comments เป็น plain object จาก toObject)
+const presentComments = (comments) => {
+    const byId = new Map(comments.map(c => [c._id.toString(), c]));
+    const keep = new Set();
+    comments.filter(c => !c.deletedAt).forEach(c => {
+        let current = c;
+        while (current && !keep.has(current._id.toString())) {
+            keep.add(current._id.toString());
+            current = current.parent ? byId.get(current.parent.toString()) : null;
+        }
+    });
+
+    return comments
+        .filter(c => keep.has(c._id.toString()))
+        .map(c => (c.deletedAt ? {
+            _id: c._id,
+            parent: c.parent,
+            text: DELETED_COMMENT_TEXT,
+            owner: null,
+            hidden: c.hidden,
+            deleted: true,
+            created_at: c.created_at,
+            updated_at: null
+        } : c));
+};
+
+// โพสต์ที่ส่งออกไปทาง response / event ผ่านตรงนี้ คอมเมนต์ในถังขยะจะได้ไม่หลุดออกไป
+const presentPost = (post) => {
+    const result = post.toObject();
+    result.comments = presentComments(result.comments || []);
+    return result;
+};
+
+// --- Reaction Helpers ---
+// likeCount = จำนวน reaction ทุกชนิดรวมกัน (client เดิมยังอ่าน field นี้อยู่)
+
+// จำนวนแยกตามชนิด มีครบทุกชนิดเสมอ
+const countReactions = (reactions = []) => {
+    const counts = Object.fromEntries(REACTIONS.map(type => [type, 0]));
+    reactions.forEach(r => { if (r.type in counts) counts[r.type]++; });
+    return counts;
+};
+
+const reactionOf = (post, userId) => post.reactions.find(r => r.user.toString() === userId)?.type || null;
+
+// field ที่ต้องใช้หลังเปลี่ยน reaction (แจ้งเตือน / event / response) ไม่โหลด reactions กับ comments ทั้ง array
+const REACTION_POST_FIELDS = { owner: 1, hidden: 1, status: 1, visibility: 1, expiresAt: 1, likeCount: 1, reactionCounts: 1 };
+const REACTION_MAX_ATTEMPTS = 5;
+
+// update ที่มีเงื่อนไขว่า reaction เดิมของ user ยังเป็น previous อยู่ ตัวนับเปลี่ยนใน update เดียวกัน
+const reactionUpdate = (postId, userId, previous, type) => {
+    const filter = { _id: postId, deletedAt: null };
+    let update;
+    if (!previous) {
+        filter['reactions.user'] = { $ne: userId };
+        update = {
+            $push: { reactions: { user: userId, type, created_at: new Date() } },
+            $inc: { likeCount: 1, [`reactionCounts.${type}`]: 1 }
+        };
+    } else {
+        filter.reactions = { $elemMatch: { user: userId, type: previous } };
+        update = type
+            ? { $set: { 'reactions.$.type': type }, $inc: { [`reactionCounts.${previous}`]: -1, [`reactionCounts.${type}`]: 1 } }
+            : { $pull: { reactions: { user: userId } }, $inc: { likeCount: -1, [`reactionCounts.${previous}`]: -1 } };
+    }
+    return Post.findOneAndUpdate(filter, update, { new: true }).select(REACTION_POST_FIELDS);
+};
+
+// ตั้ง reaction ของ user ให้เป็นสถานะที่ต้องการ ส่งซ้ำกี่ครั้งก็ได้ผลเหมือนเดิม
+// next = ชนิด (null = เอาออก) หรือ function(ชนิดเดิม) ที่คืนชนิดที่ต้องการ
+// อ่านชนิดเดิมแล้ว update แบบมีเงื่อนไข ถ้ามี request อื่นเปลี่ยนไปก่อน update จะไม่เจอเอกสาร ก็อ่านใหม่แล้วลองอีกรอบ
+// แจ้งเตือนเฉพาะตอนกดครั้งแรก / เอาออก ไม่ใช่ตอนเปลี่ยนชนิด
+// คืน { post, reaction } หรือ { error: { status, body } } ถ้าไม่เจอโพสต์ / user เปิดโพสต์นี้ไม่ได้
+const setReaction = async (postId, user, next) => {
+    const userId = user.id;
+    for (let attempt = 0; attempt < REACTION_MAX_ATTEMPTS; attempt++) {
+        const current = await Post.findOne({ _id: postId, deletedAt: null }).select({
+            ...REACTION_POST_FIELDS,
+            reactions: { $elemMatch: { user: new mongoose.Types.ObjectId(userId) } } // เฉพาะของ user คนนี้
+        });
+        if (!current) return { error: { status: 404, body: { code: 'NOT_FOUND', message: 'Post not found' } } };
+        const accessError = postInteractionError(current, user);
+        if (accessError) return { error: accessError };
+
+        const previous = current.reactions[0]?.type || null;
+        const type = typeof next === 'function' ? next(previous) : next;
+        if (previous === type) return { post: current, reaction: type };
+
+        const post = await reactionUpdate(postId, userId, previous, type);
+        if (!post) continue;
+
+        if (!previous || !type) await notifyLike(post, userId, Boolean(type));
+        publishPostEvent(post, 'post:like', { postId: post._id, ...reactionSummary(post, type) });
+        return { post, reaction: type };
+    }
+    throw new Error('Reaction update kept conflicting, try again');
+};
+
+const reactionSummary = (post, reaction) => ({
+    reaction,
+    likeCount: post.likeCount,
+    reactionCounts: post.toObject().reactionCounts
+});
+
+// นับตัวนับของโพสต์ใหม่จาก reactions / comments ในตัวโพสต์เอง (update เดียวต่อโพสต์ ไม่ต้องโหลดมาที่ server)
+// ใช้ตอนลบ reaction / คอมเมนต์ทีละหลายโพสต์ และใน npm run repair:counters
+const recountPostCounters = (filter) => {
+    const reactions = { $ifNull: ['$reactions', []] };
+    return Post.collection.updateMany(filter, [{
+        $set: {
+            likeCount: { $size: reactions },
+            ...Object.fromEntries(REACTIONS.map(type => [
+                `reactionCounts.${type}`,
+                { $size: { $filter: { input: reactions, cond: { $eq: ['$$this.type', type] } } } }
+            ])),
+            commentCount: {
+                $size: {
+                    $filter: {
+                        input: { $ifNull: ['$comments', []] },
+                        cond: { $and: [{ $ne: ['$$this.hidden', true] }, { $not: ['$$this.deletedAt'] }] }
+                    }
+                }
+            }
+        }
+    }]);
+};
+
+// ดึง reaction / คอมเมนต์ของ user ออกจากทุกโพสต์ แล้วนับตัวนับใหม่เฉพาะโพสต์ที่โดน
+const pullUserFromPosts = async (userId) => {
+    const postIds = await Post.distinct('_id', { $or: [{ 'reactions.user': userId }, { 'comments.owner': userId }] });
+    if (!postIds.length) return;
+    await Post.updateMany({ _id: { $in: postIds } }, { $pull: { reactions: { user: userId }, comments: { owner: userId } } });
+    await recountPostCounters({ _id: { $in: postIds } });
+};
+
+// --- Follow Helpers ---
+const followCounts = async (userId) => {
+    const [followerCount, followingCount] = await Promise.all([
+        Follow.countDocuments({ following: userId }),
+        Follow.countDocuments({ follower: userId })
+    ]);
+    return { followerCount, followingCount };
+};
+
+// --- Notification Helpers ---
+// แจ้งเตือนเป็นแค่ผลข้างเคียง ถ้าเขียนไม่สำเร็จจะ log ไว้ ไม่ให้ like/comment ล้มตาม
+const NOTIFICATION_ACTOR_PREVIEW = 2;
+
+const notifyLike = async (post, userId, liked) => {
+    if (!post.owner || post.owner.toString() === userId) return;
+    try {
+        if (liked) {
+            // ย้ายคนที่ like ล่าสุดไปไว้หน้าสุด
+            const now = new Date();
+            await Notification.updateOne(
+                { recipient: post.owner, type: 'like', post: post._id, read: false },
+                { $pull: { actors: userId } }
+            );
+            await Notification.updateOne(
+                { recipient: post.owner, type: 'like', post: post._id, read: false },
+                {
+                    $push: { actors: { $each: [userId], $position: 0 } },
+                    $set: { updated_at: now },
+                    $setOnInsert: { created_at: now }
+                },
+                { upsert: true, setDefaultsOnInsert: false }
+            );
+        } else {
+            await Notification.updateOne(
+                { recipient: post.owner, type: 'like', post: post._id, read: false },
+                { $pull: { actors: userId } }
+            );
+            await Notification.deleteOne({ recipient: post.owner, type: 'like', post: post._id, read: false, actors: { $size: 0 } });
+        }
+    } catch (err) {
+        console.error('Notification Error:', err);
+    }
+};
+
+// แจ้งเจ้าของโพสต์ และเจ้าของคอมเมนต์ที่ถูกตอบ (ไม่แจ้งซ้ำถ้าเป็นคนเดียวกัน)
+const notifyComment = async (post, comment, parent) => {
+    const actor = comment.owner.toString();
+    const notifications = [];
+
+    if (parent && parent.owner && parent.owner.toString() !== actor) {
+        notifications.push({ recipient: parent.owner, type: 'reply', post: post._id, comment: comment._id, actors: [actor] });
+    }
+    if (post.owner && post.owner.toString() !== actor && !(parent && parent.owner && parent.owner.equals(post.owner))) {
+        notifications.push({ recipient: post.owner, type: 'comment', post: post._id, comment: comment._id, actors: [actor] });
+    }
+
+    try {
+        if (notifications.length) await Notification.insertMany(notifications);
+    } catch (err) {
+        console.error('Notification Error:', err);
+    }
+};
+
+// --- Realtime Helpers (Server-Sent Events) ---
+// ผู้ฟังเก็บไว้ใน memory ของ process นี้ ถ้ารันหลาย instance ต้องเปลี่ยนไปใช้ pub/sub ภายนอก
+const SSE_HEARTBEAT_MS = 25000;
+const sseChannels = new Map(); // channel ('feed', 'post:<id>' หรือ 'inbox:<user id>') -> Set ของ response
+
+const subscribe = (channel, res) => {
+    if (!sseChannels.has(channel)) sseChannels.set(channel, new Set());
+    sseChannels.get(channel).add(res);
+};
+
+const unsubscribe = (channel, res) => {
+    const subscribers = sseChannels.get(channel);
+    if (!subscribers) return;
+    subscribers.delete(res);
+    if (subscribers.size === 0) sseChannels.delete(channel);
+};
+
+// channels = ชื่อเดียวหรือหลายชื่อ connection ที่ฟังหลาย channel ได้ event ครั้งเดียว
+const publish = (channels, event, data) => {
+    const targets = new Set();
+    [].concat(channels).forEach(c => sseChannels.get(c)?.forEach(res => targets.add(res)));
+    if (targets.size === 0) return;
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    targets.forEach(res => res.write(payload));
+};
+
+// ส่งให้ทั้งคนที่ดู feed และคนที่เปิดโพสต์นั้นอยู่ (โพสต์ที่ถูกซ่อนหรือยังไม่เผยแพร่ไม่ส่ง)
+const publishPostEvent = (post, event, data) => {
+    if (post.hidden || post.status === 'draft' || post.status === 'scheduled') return;
+    publish(['feed', `post:${post._id}`], event, data);
+};
+
+// EventSource ใส่ header เองไม่ได้ จึงรับ token ทาง query แล้วส่งต่อให้ authenticateToken ตรวจเหมือนเดิม
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+// --- Post Scheduler ---
+// ทุก SCHEDULER_INTERVAL_SECONDS: เผยแพร่โพสต์ที่ถึง publishAt และเปลี่ยนโพสต์ที่เลย expiresAt เป็น expired
+// รันหลาย instance พร้อมกันได้ เพราะแต่ละโพสต์เปลี่ยน status ด้วย update ที่มีเงื่อนไข status เดิม
+const SCHEDULER_INTERVAL_SECONDS = Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60;
+
+const runPostScheduler = async () => {
+    const now = new Date();
+    try {
+        // หมดอายุก่อน โพสต์ที่เลยทั้งสองเวลาไปแล้ว (เช่น server ปิดอยู่) จะไม่ถูกประกาศเป็นโพสต์ใหม่
+        await Post.updateMany(
+            { status: { $in: ['scheduled', 'published'] }, expiresAt: { $lte: now } },
+            { status: 'expired' }
+        );
+
+        // โพสต์ในถังขยะรอไว้ก่อน ถ้ากู้คืนหลังเลย publishAt จะเผยแพร่ในรอบถัดไป
+        const due = await Post.find({ status: 'scheduled', publishAt: { $lte: now }, deletedAt: null }).select('publishAt');
+        for (const { _id, publishAt } of due) {
+            const post = await Post.findOneAndUpdate(
+                { _id, status: 'scheduled', deletedAt: null },
+                { status: 'published', created_at: publishAt },
+                { new: true }
+            ).populate('owner', 'fullname role profileImage');
+            if (!post) continue;
+            publishPostEvent(post, 'post:new', presentPost(post));
+        }
+    } catch (err) {
+        console.error('Scheduler Error:', err);
+    }
+};
+
+const startPostScheduler = () => {
+    runPostScheduler();
+    setInterval(runPostScheduler, SCHEDULER_INTERVAL_SECONDS * 1000).unref();
+};
+
+// --- Trash Retention ---
+// โพสต์/คอมเมนต์ที่ลบแล้วอยู่ในถังขยะ TRASH_RETENTION_DAYS วัน จากนั้นลบจริง (เช็คทุกชั่วโมง)
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const trashPurgeAt = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const runTrashPurge = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    try {
+        await deletePostsAndTags({ deletedAt: { $lte: cutoff } });
+
+        const posts = await Post.find({
+            deletedAt: null,
+            comments: { $elemMatch: { deletedAt: { $lte: cutoff }, text: { $ne: DELETED_COMMENT_TEXT } } }
+        });
+        for (const post of posts) {
+            post.comments
+                .filter(c => c.deletedAt && c.deletedAt <= cutoff && !isPurgedComment(c))
+                .forEach(c => purgeComment(post, c));
+            await post.save();
+        }
+    } catch (err) {
+        console.error('Trash Purge Error:', err);
+    }
+};
+
+const startTrashPurge = () => {
+    runTrashPurge();
+    setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+};
+
+// --- Search Helpers ---
+const SNIPPET_RADIUS = 60;
+
+// แยกคำค้นเป็น term ตัวพิมพ์เล็ก (ตัดเครื่องหมายคำพูด และคำที่ขึ้นต้นด้วย - ซึ่งเป็นคำที่ต้องการตัดออก)
+const parseSearchTerms = (q) =>
+    [...new Set(
+        q.replace(/"/g, ' ')
+            .split(/\s+/)
+            .filter(t => t && !t.startsWith('-'))
+            .map(t => t.toLowerCase())
+    )];
+
+// ตำแหน่ง [start, end) ของทุก term ใน text เรียงและรวมช่วงที่ทับกัน
+const findHighlights = (text, terms) => {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    terms.forEach(term => {
+        let i = lower.indexOf(term);
+        while (i !== -1) {
+            ranges.push([i, i + term.length]);
+            i = lower.indexOf(term, i + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([...range]);
+        return merged;
+    }, []);
+};
+
+// ตัดข้อความรอบ term แรกที่เจอ คืนค่า { text, highlights } หรือ null ถ้าไม่เจอ
+const buildSnippet = (text, terms) => {
+    if (!text) return null;
+    const highlights = findHighlights(text, terms);
+    if (highlights.length === 0) return null;
+
+    const start = Math.max(0, highlights[0][0] - SNIPPET_RADIUS);
+    const end = Math.min(text.length, highlights[0][0] + SNIPPET_RADIUS * 2);
+    const snippet = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+
+    return { text: snippet, highlights: findHighlights(snippet, terms) };
+};
+
+const buildSnippets = (post, terms) => {
+    const snippets = [];
+    const title = buildSnippet(post.title, terms);
+    if (title) snippets.push({ field: 'title', ...title });
+
+    const content = buildSnippet(post.content, terms);
+    if (content) snippets.push({ field: 'content', ...content });
+
+    for (const comment of post.comments || []) {
+        if (comment.hidden || comment.deletedAt) continue;
+        const snippet = buildSnippet(comment.text, terms);
+        if (snippet) {
+            snippets.push({ field: 'comment', ...snippet });
+            break;
+        }
+    }
+    return snippets;
+};
+
+// cursor ของผลค้นหา = [mode, score, _id] เพราะเรียงตามคะแนนความเกี่ยวข้อง ไม่ใช่วันที่
+const encodeSearchCursor = (mode, post) =>
+    Buffer.from(JSON.stringify([mode, post.score, post._id])).toString('base64url');
+
+const decodeSearchCursor = (cursor) => {
+    try {
+        const [mode, score, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!['text', 'regex'].includes(mode) || typeof score !== 'number' || !mongoose.Types.ObjectId.isValid(id)) {
+            return null;
+        }
+        return { mode, score, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+};
+
+// --- 6. Routes: Authentication ---
+
+app.post('/register', rateLimit(RATE_LIMITS.registerIp), upload.single('profileImage'), validate({ body: accountBody }), async (req, res) => {
+    try {
+        const { fullname, email, tel, password } = req.body;
+        const existingUser = await User.findOne({ email });
+        if (existingUser) return validationError(res, { email: "Email already exists" });
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const user = await User.create({
+            fullname,
+            email,
+            tel,
+            password: hashedPassword,
+            profileImage: req.file ? req.file.path : null,
+            profileImageVariants: req.file ? req.file.variants : [],
+            role: 'user'
+        });
+        await sendVerificationEmail(user);
+
+        res.status(201).json({ message: "Registered successfully. Check your email to verify your account" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// login ไม่เช็คความแข็งของรหัสผ่าน เพราะบัญชีเก่าอาจตั้งไว้ก่อนมีกฎนี้
+app.post('/login', rateLimit(RATE_LIMITS.loginIp), validate({
+    body: {
+        email: { type: 'email', required: true },
+        password: { type: 'string', required: true, max: PASSWORD_MAX_LENGTH }
+    }
+}), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const user = await User.findOne({ email });
+
+        // ระหว่างล็อกไม่เช็ครหัสเลย จะได้เดารหัสต่อไม่ได้
+        if (user && user.lockedUntil > new Date()) return accountLocked(res, user.lockedUntil);
+
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            const lockedUntil = user && await recordFailedLogin(user);
+            if (lockedUntil) return accountLocked(res, lockedUntil);
+            return sendFail(res, 400, "Invalid email or password", 'INVALID_CREDENTIALS');
+        }
+        if (user.suspended) return sendFail(res, 403, "Account suspended", 'ACCOUNT_SUSPENDED');
+        await rateLimitStore.reset(`login-failure:${user._id}`);
+
+        const { token, refreshToken } = await issueTokens(user);
+
+        res.json({ 
+            token, 
+            refreshToken,
+            id: user._id,
+            fullname: user.fullname,
+            role: user.role,
+            profileImage: user.profileImage,
+            email: user.email,
+            tel: user.tel,
+            verified: user.verified
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Refresh Token (หมุน token ใหม่ทุกครั้ง ตัวเก่าใช้ซ้ำไม่ได้)
+app.post('/token/refresh', validate({ body: { refreshToken: { type: 'string', max: 200 } } }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return sendFail(res, 401, "No Refresh Token", 'INVALID_REFRESH_TOKEN');
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (!stored || stored.expiresAt < new Date()) {
+            return sendFail(res, 401, "Invalid Refresh Token", 'INVALID_REFRESH_TOKEN');
+        }
+
+        // token ที่ถูกหมุนไปแล้วถูกส่งมาอีกหลังพ้นช่วงผ่อนผัน (หรือถูก logout ไปแล้ว) = น่าจะโดนขโมย
+        // ยกเลิกทุก session ของ user นี้
+        const inGracePeriod = stored.replacedBy && Date.now() - stored.revokedAt < REFRESH_REUSE_GRACE_SECONDS * 1000;
+        if (stored.revokedAt && !inGracePeriod) {
+            await RefreshToken.updateMany(
+                { user: stored.user, revokedAt: null },
+                { revokedAt: new Date() }
+            );
+            return sendFail(res, 401, "Invalid Refresh Token", 'INVALID_REFRESH_TOKEN');
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user || user.suspended) return sendFail(res, 401, "Invalid Refresh Token", 'INVALID_REFRESH_TOKEN');
+
+        // ในช่วงผ่อนผันออกคู่ใหม่ให้โดยไม่แตะ token ที่หมุนไปแล้ว (เก็บแค่ hash จึงส่งตัวเดิมคืนไม่ได้)
+        const tokens = await issueTokens(user);
+        await RefreshToken.updateOne(
+            { _id: stored._id, revokedAt: null },
+            { revokedAt: new Date(), replacedBy: hashToken(tokens.refreshToken) }
+        );
+
+        res.json(tokens);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Logout (ยกเลิก refresh token ของ session นี้)
+app.post('/logout', validate({ body: { refreshToken: { type: 'string', max: 200 } } }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (refreshToken) {
+            await RefreshToken.updateOne(
+                { tokenHash: hashToken(refreshToken), revokedAt: null },
+                { revokedAt: new Date() }
+            );
+        }
+        res.json({ message: "Logged out" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Verify Email (token จากลิงก์ในเมลยืนยัน)
+app.post('/email/verify', validate({ body: { token: { type: 'string', required: true, max: 200 } } }), async (req, res) => {
+    try {
+        const used = await consumeAuthToken(req.body.token, 'verify_email');
+        if (!used) return invalidTokenError(res);
+
+        await User.updateOne({ _id: used.user, verified: false }, { verified: true, verifiedAt: new Date() });
+        res.json({ message: "Email verified" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Resend Verification Email (ตอบเหมือนกันทุกกรณี ไม่บอกว่าอีเมลนี้มีในระบบหรือไม่)
+app.post('/email/verify/resend', rateLimit(RATE_LIMITS.accountMailIp), validate({ body: { email: { type: 'email', required: true } } }), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user && !user.verified && !user.suspended) await sendVerificationEmail(user);
+        res.json({ message: "If this account still needs verifying, a new verification email has been sent" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Forgot Password (ตอบเหมือนกันทุกกรณี เหมือน resend)
+app.post('/password/forgot', rateLimit(RATE_LIMITS.accountMailIp), validate({ body: { email: { type: 'email', required: true } } }), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user && !user.suspended) await sendPasswordResetEmail(user);
+        res.json({ message: "If an account uses this email, a password reset link has been sent" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Reset Password (token จากลิงก์ในเมล ใช้ได้ครั้งเดียว)
+app.post('/password/reset', validate({
+    body: {
+        token: { type: 'string', required: true, max: 200 },
+        password: { type: 'password', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const used = await consumeAuthToken(req.body.token, 'reset_password');
+        if (!used) return invalidTokenError(res);
+
+        const hashedPassword = await bcrypt.hash(req.body.password, 10);
+        const now = new Date();
+        await Promise.all([
+            // เปลี่ยนรหัสแล้วปลดล็อกเลย ไม่ต้องรอครบเวลา
+            User.updateOne({ _id: used.user }, { password: hashedPassword, lockedUntil: null }),
+            // กดลิงก์จากเมลได้ = เป็นเจ้าของอีเมลจริง
+            User.updateOne({ _id: used.user, verified: false }, { verified: true, verifiedAt: now }),
+            // รหัสเก่าอาจรั่ว ให้ทุก session ที่ login ค้างไว้ต้อง login ใหม่
+            RefreshToken.updateMany({ user: used.user, revokedAt: null }, { revokedAt: now })
+        ]);
+        res.json({ message: "Password updated. Please log in with your new password" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 7. Routes: Profile & User Data ---
+
+// Get My Profile
+app.get('/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('-password');
+        if (!user) return sendFail(res, 404, "User not found");
+        res.json({ ...user.toObject(), ...(await followCounts(user._id)) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+// Edit My Profile
+app.put('/profile', authenticateToken, upload.single('profileImage'), validate({
+    body: {
+        fullname: { type: 'string', max: 100, label: 'Full name' },
+        tel: { type: 'phone', label: 'Phone number' },
+        password: { type: 'password' }
+    }
+}), async (req, res) => {
+    try {
+        const updates = {};
+        const { fullname, tel, password } = req.body;
+        if (fullname) updates.fullname = fullname;
+        if (tel) updates.tel = tel;
+        if (password) updates.password = await bcrypt.hash(password, 10);
+        if (req.file && req.file.path) {
+            updates.profileImage = req.file.path;
+            updates.profileImageVariants = req.file.variants;
+        }
+
+        const previous = await User.findById(req.user.id).select('profileImage profileImageVariants');
+        const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true });
+        if (updates.profileImage && previous) {
+            await removeMedia(mediaUrls({ url: previous.profileImage, variants: previous.profileImageVariants }));
+        }
+        res.json(user);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Get Public Profile (หน้า /user/:id) ไม่มีอีเมล/เบอร์โทร
+// following = คนที่ login อยู่ติดตามคนนี้หรือยัง (ไม่ได้ login = false)
+app.get('/user/:id', optionalAuth, validate(idParams), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('fullname role profileImage profileImageVariants');
+        if (!user) return sendFail(res, 404, "User not found");
+
+        const [counts, following] = await Promise.all([
+            followCounts(user._id),
+            req.user ? Follow.exists({ follower: req.user.id, following: user._id }) : null
+        ]);
+        res.json({ ...user.toObject(), ...counts, following: Boolean(following) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Follow User (กดซ้ำก็ได้ผลเหมือนเดิม)
+app.post('/user/:id/follow', authenticateToken, rateLimit(RATE_LIMITS.followUser, { perUser: true }), validate(idParams), async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) return sendFail(res, 400, "You cannot follow yourself", 'SELF_ACTION');
+        if (!(await User.exists({ _id: req.params.id }))) return sendFail(res, 404, "User not found");
+
+        // กดพร้อมกันสองครั้ง upsert ตัวหลังชน unique index = ติดตามอยู่แล้ว
+        await Follow.updateOne(
+            { follower: req.user.id, following: req.params.id },
+            { $setOnInsert: { created_at: new Date() } },
+            { upsert: true }
+        ).catch(err => {
+            if (err.code !== 11000) throw err;
+        });
+        res.json({ following: true, ...(await followCounts(req.params.id)) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Unfollow User
+app.delete('/user/:id/follow', authenticateToken, rateLimit(RATE_LIMITS.followUser, { perUser: true }), validate(idParams), async (req, res) => {
+    try {
+        await Follow.deleteOne({ follower: req.user.id, following: req.params.id });
+        res.json({ following: false, ...(await followCounts(req.params.id)) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 8. Routes: Posts (Main Features) ---
+
+// 1. Create Post
+app.post('/post', authenticateToken, requireVerified, uploadPostImages, validate({ body: postBody(true) }), async (req, res) => {
+    const uploads = uploadedImages(req);
+    let saved = false;
+    try {
+        const { title, content, gallery, visibility, status, publishAt, expiresAt } = req.body;
+        // รองรับ field `tag` แบบเดิม (string คั่นด้วย comma) ด้วย
+        const tags = parseTags(req.body.tags || req.body.tag);
+        if (tags.length === 0) return validationError(res, { tags: "At least one tag is required" });
+
+        if (gallery && gallery.some(entry => entry._id)) {
+            return validationError(res, { gallery: "A new post can only use uploaded images" });
+        }
+        const { images, error } = buildGallery([], gallery, uploads);
+        if (error) return validationError(res, { gallery: error });
+
+        const newPost = new Post({
+            title,
+            content,
+            tags: tags.map(t => t.name),
+            images,
+            visibility,
+            owner: req.user.id
+        });
+        const scheduleError = applySchedule(newPost, { status, publishAt, expiresAt });
+        if (scheduleError) return validationError(res, scheduleError);
+        await newPost.save();
+        saved = true;
+        // ไฟล์ที่ upload มาแต่ไม่ได้ใส่ไว้ใน gallery
+        await removeMedia(uploads.filter(upload => !images.some(img => img.url === upload.url)).flatMap(mediaUrls));
+        await adjustTagCounts(tags);
+        await newPost.populate('owner', 'fullname role profileImage');
+        publishPostEvent(newPost, 'post:new', newPost.toObject());
+
+        // ตัดการ update User ทิ้งไปเลย (ลดการทำงาน Database)
+        
+        res.status(201).json(newPost);
+    } catch (err) {
+        sendError(res, err);
+    } finally {
+        // ไม่ได้สร้างโพสต์ = ไฟล์ที่ upload มาไม่มีใครใช้
+        if (!saved) await removeMedia(uploads.flatMap(mediaUrls));
+    }
+});
+
+// 2. Get All Posts
+app.get('/post', optionalAuth, validate({
+    query: {
+        ...pageQuery.query,
+        search: { type: 'string', max: 200 },
+        tag: { type: 'string', max: MAX_TAG_LENGTH },
+        order_by: { type: 'string', max: 20 }
+    }
+}), parsePagination, async (req, res) => {
+    try {
+        const { search, tag, order_by } = req.query;
+        let query = { hidden: { $ne: true }, ...visibleTo(req.user), ...livePosts() };
+
+        if (search) query.title = { $regex: escapeRegex(search), $options: 'i' };
+        if (tag) query.tags = normalizeTag(tag);
+
+        const direction = order_by === 'post_date' ? -1 : 1;
+        res.json(await findPostsPage(query, req.page, direction));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+// 3. Get Post by ID
+app.get('/post/:id', optionalAuth, validate(idParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null })
+            .populate('owner', 'fullname role profileImage')
+            .populate('comments.owner', 'fullname role profileImage');
+        if (!post) return sendFail(res, 404, 'Post not found');
+
+        const accessError = postAccessError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        // คอมเมนต์ที่ถูกซ่อน ให้เห็นแค่เจ้าของคอมเมนต์กับ admin
+        const viewerId = req.user?.id;
+        const isAdmin = req.user?.role === 'admin';
+
+        const result = post.toObject();
+        if (!isAdmin) {
+            result.comments = result.comments.filter(c => !c.hidden || c.owner?._id?.toString() === viewerId);
+        }
+        result.comments = presentComments(result.comments);
+        // บันทึกไว้หรือยัง เป็นข้อมูลส่วนตัวของคนที่เปิดดู
+        const bookmark = viewerId ? await Bookmark.findOne({ user: viewerId, post: post._id }).select('collectionId') : null;
+        res.json({
+            ...result,
+            myReaction: viewerId ? reactionOf(post, viewerId) : null,
+            saved: Boolean(bookmark),
+            savedCollection: bookmark ? bookmark.collectionId : null
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 4. Get My Posts
+app.get('/mypost', authenticateToken, validate({
+    query: { ...pageQuery.query, status: { type: 'string', values: POST_STATUSES } }
+}), parsePagination, async (req, res) => {
+    try {
+        // ค้นหา Post ที่เจ้าของคือ ID ของคน Login (ทุก status, ?status= กรองเฉพาะอย่างเดียว)
+        const query = { owner: req.user.id };
+        if (req.query.status) query.status = req.query.status;
+        res.json(await findPostsPage(query, req.page));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 5. Get Liked Posts
+app.get('/likedpost', authenticateToken, validate(pageQuery), parsePagination, async (req, res) => {
+    try {
+        // ค้นหา Post ที่เรากด reaction ไว้ (ชนิดไหนก็ได้) เฉพาะที่ยังเผยแพร่และมองเห็นได้
+        const query = { 'reactions.user': req.user.id, hidden: { $ne: true }, ...visibleTo(req.user), ...livePosts() };
+        res.json(await findPostsPage(query, req.page));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 6. Get Commented Posts
+app.get('/commentedpost', authenticateToken, validate(pageQuery), parsePagination, async (req, res) => {
+    try {
+        // ค้นหา Post ที่มี comments ไหนสักอันที่เป็นของเรา เฉพาะที่ยังเผยแพร่และมองเห็นได้
+        const query = {
+            comments: { $elemMatch: { owner: req.user.id, deletedAt: null } },
+            hidden: { $ne: true },
+            ...visibleTo(req.user),
+            ...livePosts()
+        };
+        res.json(await findPostsPage(query, req.page));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 7. Get Posts by User ID (ดูโพสต์คนอื่น ใช้ในหน้า /user/:id)
+app.get('/user/:id/posts', optionalAuth, validate({ ...idParams, ...pageQuery }), parsePagination, async (req, res) => {
+    try {
+        // ค้นหา Post ที่ owner ตรงกับ ID ที่ส่งมา
+        res.json(await findPostsPage({ owner: req.params.id, hidden: { $ne: true }, ...visibleTo(req.user), ...livePosts() }, req.page));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 7.1 Following Feed (โพสต์ของคนที่เราติดตาม)
+app.get('/feed/following', authenticateToken, validate({
+    query: { ...pageQuery.query, order_by: { type: 'string', max: 20 } }
+}), parsePagination, async (req, res) => {
+    try {
+        const follows = await Follow.find({ follower: req.user.id }).select('following');
+        if (follows.length === 0) return res.json({ items: [], nextCursor: null });
+
+        const query = { owner: { $in: follows.map(f => f.following) }, hidden: { $ne: true }, ...livePosts() };
+        const direction = req.query.order_by === 'post_date' ? -1 : 1;
+        res.json(await findPostsPage(query, req.page, direction));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 8. Delete Post
+app.delete('/deletepost/:id', authenticateToken, validate(idParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        if (!post) return sendFail(res, 404, "Not found");
+        
+        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, "Unauthorized");
+        }
+        
+        // ย้ายลงถังขยะ เจ้าของกู้คืนได้จาก /trash จนกว่าจะครบ TRASH_RETENTION_DAYS
+        post.deletedAt = new Date();
+        post.deletedBy = req.user.id;
+        await post.save();
+        await Report.updateMany({ post: req.params.id, status: 'open' }, { status: 'deleted', resolvedAt: new Date() });
+        
+        // ตัดการ update User ทิ้งไป
+        res.json({ message: "Moved to trash", purgeAt: trashPurgeAt(post.deletedAt) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 9. Edit Post
+app.put('/post/:id', authenticateToken, uploadPostImages, validate({ ...idParams, body: postBody(false) }), async (req, res) => {
+    const uploads = uploadedImages(req);
+    let saved = false;
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        if (!post) return sendFail(res, 404, 'Not found');
+
+        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, 'Unauthorized');
+        }
+
+        const before = revisionSnapshot(post);
+        const { title, content, visibility, status, publishAt, expiresAt } = req.body;
+        const tagInput = req.body.tags || req.body.tag;
+        if (title) post.title = title;
+        if (content) post.content = content;
+        if (visibility) post.visibility = visibility;
+
+        const wasLive = post.status === 'published';
+        const scheduleError = applySchedule(post, { status, publishAt, expiresAt });
+        if (scheduleError) return validationError(res, scheduleError);
+
+        let addedTags = [];
+        let removedTags = [];
+        if (tagInput) {
+            const tags = parseTags(tagInput);
+            if (tags.length === 0) return validationError(res, { tags: "At least one tag is required" });
+            addedTags = tags.filter(t => !post.tags.includes(t.name));
+            removedTags = post.tags.filter(name => !tags.some(t => t.name === name));
+            post.tags = tags.map(t => t.name);
+        }
+
+        // client เดิมส่ง `image` ไฟล์เดียวมาเพื่อเปลี่ยนรูป = แทนที่ทั้งแกลเลอรี
+        let { gallery } = req.body;
+        if (!gallery && req.files?.image) gallery = [{ upload: uploads.length - 1 }];
+
+        let unusedMedia = [];
+        if (gallery || uploads.length) {
+            // โพสต์เก่าที่มีแค่ image ให้นับเป็นรูปแรกของแกลเลอรี
+            if (post.images.length === 0 && post.image) post.images = [{ url: post.image }];
+
+            const { images, error } = buildGallery(post.images, gallery, uploads);
+            if (error) return validationError(res, { gallery: error });
+            // รูปเดิมที่เอาออกยังไม่ลบ เพราะ revision ยังอ้างถึงอยู่ (ลบตอนโพสต์ถูก purge)
+            unusedMedia = uploads
+                .filter(upload => !images.some(img => img.url === upload.url))
+                .flatMap(mediaUrls);
+            post.images = images;
+        }
+
+        const fields = changedFields(before, revisionSnapshot(post));
+        if (fields.length) post.updated_at = new Date();
+
+        await post.save();
+        saved = true;
+        if (fields.length) await recordRevision(post, before, req.user.id, fields);
+        await adjustTagCounts(addedTags, removedTags);
+        await removeMedia(unusedMedia);
+        if (!wasLive && post.status === 'published') {
+            await post.populate('owner', 'fullname role profileImage');
+            publishPostEvent(post, 'post:new', presentPost(post));
+        }
+        res.json(presentPost(post));
+    } catch (err) {
+        sendError(res, err);
+    } finally {
+        if (!saved) await removeMedia(uploads.flatMap(mediaUrls));
+    }
+});
+
+// 9.1 Post Revisions (ใหม่สุดก่อน ?cursor= = id ของ revision เก่าสุดที่มีแล้ว เพื่อโหลดก่อนหน้านั้น)
+app.get('/post/:id/revisions', optionalAuth, validate({
+    ...idParams,
+    query: { cursor: { type: 'objectId' }, limit: { type: 'int', min: 1 } }
+}), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null }).select('owner hidden status visibility');
+        if (!post) return sendFail(res, 404, 'Post not found');
+        const accessError = postAccessError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        const limit = pageLimit(req.query.limit);
+        const query = { post: post._id };
+        if (req.query.cursor) query._id = { $lt: req.query.cursor };
+
+        const revisions = await PostRevision.find(query)
+            .populate('editor', 'fullname role profileImage')
+            .sort({ _id: -1 })
+            .limit(limit + 1);
+        const hasMore = revisions.length > limit;
+        const items = hasMore ? revisions.slice(0, limit) : revisions;
+
+        res.json({ items, nextCursor: hasMore ? items[items.length - 1]._id : null });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 9.2 Revert Post (กลับไปเป็นแบบที่โพสต์เป็นหลัง revision นั้น การย้อนเองก็ถูกบันทึกเป็น revision ใหม่)
+app.post('/post/:id/revisions/:revisionId/revert', authenticateToken, validate({
+    params: {
+        id: { type: 'objectId', required: true },
+        revisionId: { type: 'objectId', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        if (!post) return sendFail(res, 404, 'Not found');
+
+        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, 'Unauthorized');
+        }
+
+        const revision = await PostRevision.findOne({ _id: req.params.revisionId, post: post._id });
+        if (!revision) return sendFail(res, 404, 'Revision not found');
+
+        const before = revisionSnapshot(post);
+        const target = await snapshotAfterRevision(post, revision);
+        const fields = changedFields(before, target);
+        if (fields.length === 0) return validationError(res, { revision: "The post already matches this version" });
+
+        fields.forEach(field => { post[field] = target[field]; });
+        post.updated_at = new Date();
+        await post.save();
+        await recordRevision(post, before, req.user.id, fields, { kind: 'revert', revertedTo: revision._id });
+        await adjustTagCounts(
+            target.tags.filter(name => !before.tags.includes(name)).map(name => ({ name, displayName: name })),
+            before.tags.filter(name => !target.tags.includes(name))
+        );
+        res.json(presentPost(post));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// 10. Full-text Search
+// ค้นด้วย text index ก่อน ถ้าหน้าแรกไม่เจออะไรเลย (เช่นคำไทยที่อยู่กลางประโยค) ค่อยถอยไปใช้ regex
+app.get('/search', optionalAuth, validate({
+    query: {
+        q: { type: 'string', required: true, max: 200, label: 'Search query' },
+        tag: { type: 'string', max: MAX_TAG_LENGTH },
+        author: { type: 'string', max: 100 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        limit: { type: 'int', min: 1 }
+    }
+}), async (req, res) => {
+    try {
+        const { q, tag, author, from, to, cursor } = req.query;
+
+        const limit = pageLimit(req.query.limit);
+
+        let after = null;
+        if (cursor) {
+            after = decodeSearchCursor(cursor);
+            if (!after) return validationError(res, { cursor: "Invalid cursor" });
+        }
+
+        // aggregate ไม่ผ่าน findPostsPage ต้องตัดโพสต์ในถังขยะออกเอง
+        const filter = { hidden: { $ne: true }, deletedAt: null, ...visibleTo(req.user), ...livePosts() };
+        if (tag) filter.tags = normalizeTag(tag);
+        if (author) {
+            if (mongoose.Types.ObjectId.isValid(author)) {
+                filter.owner = new mongoose.Types.ObjectId(author);
+            } else {
+                const authors = await User.find({ fullname: { $regex: escapeRegex(author), $options: 'i' } }).select('_id');
+                filter.owner = { $in: authors.map(u => u._id) };
+            }
+        }
+        if (from || to) {
+            filter.created_at = {};
+            if (from) filter.created_at.$gte = new Date(from);
+            if (to) filter.created_at.$lte = new Date(to);
+            if (from && to && filter.created_at.$gte > filter.created_at.$lte) {
+                return validationError(res, { to: "To must be after from" });
+            }
+        }
+
+        const terms = parseSearchTerms(q.trim());
+        // คอมเมนต์ที่ถูกซ่อน / ลบแล้วยังอยู่ใน text index ผล $text จึงต้องผ่านเงื่อนไขนี้ด้วย
+        // ไม่งั้นจะเจอโพสต์จากข้อความที่ไม่มีใครเห็นแล้ว (snippet ก็ข้ามคอมเมนต์พวกนั้น)
+        const termRegex = { $regex: terms.map(escapeRegex).join('|'), $options: 'i' };
+        const visibleMatch = [
+            ...['title', 'content', 'tags'].map(field => ({ [field]: termRegex })),
+            { comments: { $elemMatch: { text: termRegex, hidden: { $ne: true }, deletedAt: null } } }
+        ];
+        const runSearch = (mode) => {
+            const match = mode === 'text'
+                ? { ...filter, $text: { $search: q.trim() }, $or: visibleMatch }
+                : { ...filter, $or: visibleMatch };
+            const pipeline = [
+                { $match: match },
+                { $addFields: { score: mode === 'text' ? { $meta: 'textScore' } : 0 } }
+            ];
+            if (after) {
+                pipeline.push({
+                    $match: {
+                        $or: [
+                            { score: { $lt: after.score } },
+                            { score: after.score, _id: { $lt: after.id } }
+                        ]
+                    }
+                });
+            }
+            pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 }, { $project: { reactions: 0 } });
+            return Post.aggregate(pipeline);
+        };
+
+        let mode = after ? after.mode : 'text';
+        let posts = terms.length ? await runSearch(mode) : [];
+        if (posts.length === 0 && !after && terms.length) {
+            mode = 'regex';
+            posts = await runSearch(mode);
+        }
+
+        const hasMore = posts.length > limit;
+        const page = hasMore ? posts.slice(0, limit) : posts;
+        await Post.populate(page, { path: 'owner', select: 'fullname role profileImage' });
+
+        res.json({
+            items: page.map(({ comments, ...p }) => ({
+                ...p,
+                snippets: buildSnippets({ ...p, comments }, terms)
+            })),
+            nextCursor: hasMore ? encodeSearchCursor(mode, page[page.length - 1]) : null
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 9. Routes: Actions (Reaction & Comment) ---
+
+// Like / Unlike
+// ส่ง liked มา = สถานะที่ต้องการ ส่งซ้ำได้ (true = like ถ้ายังไม่มี reaction ชนิดไหนอยู่, false = เอาออก)
+// ไม่ส่ง = สลับแบบเดิม (ยังไม่มี reaction = like, มีอยู่แล้วชนิดไหนก็ตาม = เอาออก)
+app.post('/post/:id/like', authenticateToken, rateLimit(RATE_LIMITS.likeIp), rateLimit(RATE_LIMITS.likeUser, { perUser: true }), validate({
+    ...idParams,
+    body: { liked: { type: 'boolean' } }
+}), async (req, res) => {
+    try {
+        const { liked } = req.body || {};
+        const result = await setReaction(req.params.id, req.user, previous => {
+            const want = liked === undefined ? !previous : liked;
+            return want ? previous || 'like' : null;
+        });
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        res.json(reactionSummary(result.post, result.reaction));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// React (ตั้ง / เปลี่ยนชนิด reaction ของเรา)
+app.put('/post/:id/reaction', authenticateToken, rateLimit(RATE_LIMITS.likeIp), rateLimit(RATE_LIMITS.likeUser, { perUser: true }), validate({
+    ...idParams,
+    body: { type: { type: 'string', required: true, values: REACTIONS, label: 'Reaction' } }
+}), async (req, res) => {
+    try {
+        const result = await setReaction(req.params.id, req.user, req.body.type);
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        res.json(reactionSummary(result.post, result.reaction));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Remove Reaction
+app.delete('/post/:id/reaction', authenticateToken, rateLimit(RATE_LIMITS.likeIp), rateLimit(RATE_LIMITS.likeUser, { perUser: true }), validate(idParams), async (req, res) => {
+    try {
+        const result = await setReaction(req.params.id, req.user, null);
+        if (result.error) return res.status(result.error.status).json(result.error.body);
+        res.json(reactionSummary(result.post, result.reaction));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Who Reacted (ล่าสุดก่อน ?type= เฉพาะชนิดเดียว)
+app.get('/post/:id/reactions', optionalAuth, validate({
+    ...idParams,
+    query: {
+        type: { type: 'string', values: REACTIONS },
+        page: { type: 'int', min: 1 },
+        limit: { type: 'int', min: 1 }
+    }
+}), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null })
+            .select('owner hidden status visibility reactions')
+            .populate('reactions.user', 'fullname profileImage');
+        if (!post) return sendFail(res, 404, 'Post not found');
+        const accessError = postAccessError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = pageLimit(req.query.limit);
+
+        // user ที่ถูกลบไปแล้ว populate ไม่เจอ ไม่ต้องแสดง
+        const reactions = post.reactions
+            .filter(r => r.user && (!req.query.type || r.type === req.query.type))
+            .reverse();
+
+        res.json({
+            counts: countReactions(post.reactions),
+            items: reactions.slice((page - 1) * limit, page * limit),
+            total: reactions.length,
+            page,
+            limit
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Comment (ส่ง parentId มาด้วยถ้าเป็นการตอบคอมเมนต์)
+app.post('/post/:id/comment', authenticateToken, rateLimit(RATE_LIMITS.commentIp), rateLimit(RATE_LIMITS.commentUser, { perUser: true }), validate({
+    ...idParams,
+    body: {
+        text: { type: 'string', required: true, max: 2000, label: 'Comment' },
+        parentId: { type: 'objectId' }
+    }
+}), async (req, res) => {
+    try {
+        const { text, parentId } = req.body;
+        const postId = req.params.id;
+        const userId = req.user.id;
+
+        const post = await Post.findOne({ _id: postId, deletedAt: null });
+        if (!post) return sendFail(res, 404, 'Not found');
+        const accessError = postInteractionError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        let parent = null;
+        if (parentId) {
+            parent = post.comments.id(parentId);
+            if (!parent) return sendFail(res, 404, 'Comment not found');
+            if (parent.deletedAt) return validationError(res, { parentId: "Cannot reply to a deleted comment" });
+
+            // ลึกเกิน MAX_COMMENT_DEPTH ให้ไปต่อท้ายในระดับเดียวกับคอมเมนต์ที่ตอบแทน
+            while (commentDepth(post, parent) >= MAX_COMMENT_DEPTH - 1) {
+                parent = post.comments.id(parent.parent);
+            }
+        }
+
+        post.comments.push({ text, owner: userId, parent: parent ? parent._id : null });
+        await post.save();
+        const comment = post.comments[post.comments.length - 1];
+        await notifyComment(post, comment, parent);
+
+        await post.populate('comments.owner', 'fullname role profileImage');
+        publishPostEvent(post, 'comment:new', {
+            postId: post._id,
+            comment: post.comments.id(comment._id).toObject(),
+            commentCount: post.commentCount
+        });
+
+        // ตัดการ update User ทิ้งไป
+
+        res.status(201).json(presentPost(post));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Edit Comment
+app.put('/post/:id/comment/:commentId', authenticateToken, validate({
+    ...commentParams,
+    body: { text: { type: 'string', required: true, max: 2000, label: 'Comment' } }
+}), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        if (!post) return sendFail(res, 404, 'Not found');
+        const accessError = postInteractionError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        const comment = post.comments.id(req.params.commentId);
+        if (!comment || comment.deletedAt) return sendFail(res, 404, 'Not found');
+
+        if (comment.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, 'Unauthorized');
+        }
+
+        comment.text = req.body.text;
+        comment.updated_at = new Date();
+
+        await post.save();
+        res.json(comment);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete Comment
+app.delete('/post/:id/comment/:commentId', authenticateToken, validate(commentParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        if (!post) return sendFail(res, 404, 'Not found');
+        const accessError = postInteractionError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        const comment = post.comments.id(req.params.commentId);
+        if (!comment || comment.deletedAt) return sendFail(res, 404, 'Not found');
+
+        if (comment.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, 'Unauthorized');
+        }
+
+        trashComment(comment, req.user.id);
+        await post.save();
+        res.json({ message: "Moved to trash", purgeAt: trashPurgeAt(comment.deletedAt) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 10. Routes: Tags ---
+
+// Get Tags (เรียงตามจำนวนโพสต์ ?all=true เพื่อรวม tag ที่ไม่มีโพสต์แล้ว)
+app.get('/tags', optionalAuth, validate({ query: { all: { type: 'boolean' } } }), async (req, res) => {
+    try {
+        const query = req.query.all ? {} : { usageCount: { $gt: 0 } };
+        const tags = await Tag.find(query).sort({ usageCount: -1, name: 1 });
+        res.json(tags);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Get Tag by Name
+app.get('/tags/:name', optionalAuth, validate({
+    params: { name: { type: 'string', required: true, max: MAX_TAG_LENGTH } }
+}), async (req, res) => {
+    try {
+        const tag = await Tag.findOne({ name: normalizeTag(req.params.name) });
+        if (!tag) return sendFail(res, 404, "Not found");
+        res.json(tag);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 11. Routes: Notifications ---
+
+// Get Notifications (ล่าสุดก่อน พร้อมจำนวนที่ยังไม่อ่าน)
+app.get('/notifications', authenticateToken, validate({ query: { limit: { type: 'int', min: 1 } } }), async (req, res) => {
+    try {
+        const limit = pageLimit(req.query.limit);
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find({ recipient: req.user.id })
+                .populate('post', 'title')
+                .sort({ updated_at: -1 })
+                .limit(limit)
+                .lean(),
+            Notification.countDocuments({ recipient: req.user.id, read: false })
+        ]);
+
+        // ส่งชื่อคนแค่ไม่กี่คนแรก ที่เหลือบอกเป็นจำนวน ("Alice and 4 others")
+        const items = notifications.map(n => ({
+            ...n,
+            actors: n.actors.slice(0, NOTIFICATION_ACTOR_PREVIEW),
+            actorCount: n.actors.length
+        }));
+        await Notification.populate(items, { path: 'actors', select: 'fullname profileImage' });
+
+        res.json({ items, unreadCount });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Unread Count
+app.get('/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+        res.json({ unreadCount });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Mark as Read (ไม่ส่ง ids = อ่านทั้งหมด)
+app.post('/notifications/read', authenticateToken, validate({
+    body: { ids: { type: 'objectIds', max: 100, label: 'Notification ids' } }
+}), async (req, res) => {
+    try {
+        const { ids } = req.body;
+        const query = { recipient: req.user.id, read: false };
+        if (ids) query._id = { $in: ids };
+
+        await Notification.updateMany(query, { read: true });
+        const unreadCount = await Notification.countDocuments({ recipient: req.user.id, read: false });
+        res.json({ unreadCount });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 12. Routes: Realtime ---
+
+// Event Stream (?channels=feed,post:<id>)
+app.get('/events', tokenFromQuery, authenticateToken, validate({
+    query: { channels: { type: 'string', max: 300 } }
+}), (req, res) => {
+    const requested = [...new Set(String(req.query.channels || 'feed').split(',').map(c => c.trim()).filter(Boolean))];
+    const isValid = requested.length <= 10 && requested.every(c => c === 'feed' || c === 'inbox' || /^post:[0-9a-f]{24}$/.test(c));
+    if (!isValid) return validationError(res, { channels: "Invalid channels" });
+    // inbox = ข้อความถึงตัวเองเท่านั้น ผูกกับ user จาก token ขอฟังของคนอื่นไม่ได้
+    const channels = requested.map(c => (c === 'inbox' ? `inbox:${req.user.id}` : c));
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    channels.forEach(c => subscribe(c, res));
+    // กัน proxy ตัด connection ที่เงียบนานเกินไป
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        channels.forEach(c => unsubscribe(c, res));
+    });
+});
+
+// --- 13. Routes: Reports ---
+
+// สร้างรายงาน แล้วซ่อนเป้าหมายอัตโนมัติถ้าคนรายงานถึง REPORT_HIDE_THRESHOLD
+const createReport = async (req, res, commentId) => {
+    const { reason, details } = req.body;
+    const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+    if (!post) return sendFail(res, 404, 'Not found');
+    // รายงานได้เฉพาะโพสต์ที่เปิดดูได้ ไม่งั้นใช้เดาว่ามีโพสต์ที่ซ่อนอยู่ได้
+    const accessError = postAccessError(post, req.user);
+    if (accessError) return res.status(accessError.status).json(accessError.body);
+
+    const target = commentId ? post.comments.id(commentId) : post;
+    if (!target || target.deletedAt) return sendFail(res, 404, 'Not found');
+    if (target.owner && target.owner.toString() === req.user.id) {
+        return sendFail(res, 400, "Cannot report your own content", 'OWN_CONTENT');
+    }
+
+    try {
+        await Report.create({
+            post: post._id,
+            comment: commentId || null,
+            reporter: req.user.id,
+            reason,
+            details: details || ''
+        });
+    } catch (err) {
+        if (err.code === 11000) return sendFail(res, 400, "Already reported", 'ALREADY_REPORTED');
+        throw err;
+    }
+
+    const openReports = await Report.countDocuments({ post: post._id, comment: commentId || null, status: 'open' });
+    if (openReports >= REPORT_HIDE_THRESHOLD && !target.hidden) {
+        if (commentId) {
+            // ผ่าน save ให้ commentCount นับใหม่
+            target.hidden = true;
+            await post.save();
+        } else {
+            await Post.updateOne({ _id: post._id }, { hidden: true });
+        }
+    }
+
+    res.status(201).json({ message: "Reported" });
+};
+
+const reportBody = {
+    reason: { type: 'string', required: true, values: REPORT_REASONS },
+    details: { type: 'string', max: 1000 }
+};
+
+// Report Post
+app.post('/post/:id/report', authenticateToken, validate({ ...idParams, body: reportBody }), async (req, res) => {
+    try {
+        await createReport(req, res, null);
+    } catch (err) {
+        sendError(res, err);
+    }
 });
 
-const postSchema = new mongoose.Schema({
-    title: { type: String, required: true },
-    content: { type: String, required: true },
-    image: { type: String },
-    tag: { 
-        type: String, 
-        required: true 
-    },
-    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], 
-    comments: [commentSchema],
-    created_at: { type: Date, default: Date.now }
+// Report Comment
+app.post('/post/:id/comment/:commentId/report', authenticateToken, validate({ ...commentParams, body: reportBody }), async (req, res) => {
+    try {
+        await createReport(req, res, req.params.commentId);
+    } catch (err) {
+        sendError(res, err);
+    }
 });
-const Post = mongoose.model('Post', postSchema);
-
-// --- 5. Auth Middleware ---
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    if (!token) return res.status(401).json({ message: "No Token" });
 
-    jwt.verify(token, SECRET_KEY, (err, user) => {
-        if (err) return res.status(403).json({ message: "Invalid Token" });
-        req.user = user;
-        next();
-    });
-};
-
-// --- 6. Routes: Authentication ---
+// --- 14. Routes: Admin ---
 
-app.post('/register', upload.single('profileImage'), async (req, res) => {
+// Create Admin
+app.post('/createadmin', authenticateToken, requireAdmin, upload.single('profileImage'), validate({ body: accountBody }), async (req, res) => {
     try {
         const { fullname, email, tel, password } = req.body;
         const existingUser = await User.findOne({ email });
-        if (existingUser) return res.status(400).json({ message: "Email already exists" });
+        if (existingUser) return validationError(res, { email: "Email already exists" });
 
         const hashedPassword = await bcrypt.hash(password, 10);
         await User.create({
@@ -101,306 +2841,793 @@ app.post('/register', upload.single('profileImage'), async (req, res) => {
             tel,
             password: hashedPassword,
             profileImage: req.file ? req.file.path : null,
-            role: 'user'
+            profileImageVariants: req.file ? req.file.variants : [],
+            role: 'admin',
+            // admin สร้างให้เอง ไม่ต้องรอยืนยันอีเมล
+            verified: true,
+            verifiedAt: new Date()
         });
 
-        res.status(201).json({ message: "Registered successfully" });
+        res.status(201).json({ message: "Admin created" });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-app.post('/login', async (req, res) => {
+// List / Search Users
+app.get('/admin/users', authenticateToken, requireAdmin, validate({
+    query: {
+        ...listQuery,
+        search: { type: 'string', max: 100 },
+        role: { type: 'string', values: ['user', 'admin'] },
+        suspended: { type: 'boolean' }
+    }
+}), async (req, res) => {
     try {
-        const { email, password } = req.body;
-        const user = await User.findOne({ email });
-        
-        if (!user || !(await bcrypt.compare(password, user.password))) {
-            return res.status(400).json({ message: "Invalid email or password" });
+        const { search, role, suspended } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = pageLimit(req.query.limit);
+
+        const query = {};
+        if (search) {
+            const pattern = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ fullname: pattern }, { email: pattern }];
         }
+        if (role) query.role = role;
+        if (suspended !== undefined) query.suspended = suspended;
 
-        const token = jwt.sign(
-            { id: user._id, role: user.role, fullname: user.fullname, email: user.email }, 
-            SECRET_KEY, 
-            { expiresIn: '2h' }
-        );
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select('-password')
+                .sort({ _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(query)
+        ]);
 
-        res.json({ 
-            token, 
-            id: user._id,
-            fullname: user.fullname,
-            role: user.role,
-            profileImage: user.profileImage,
-            email: user.email,
-            tel: user.tel
-        });
+        res.json({ items: users, total, page, limit });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// --- 7. Routes: Profile & User Data ---
-
-// Get My Profile
-app.get('/profile', authenticateToken, async (req, res) => {
+// Promote / Demote User
+app.put('/admin/users/:id/role', authenticateToken, requireAdmin, validate({
+    ...idParams,
+    body: { role: { type: 'string', required: true, values: ['user', 'admin'] } }
+}), async (req, res) => {
     try {
-        const user = await User.findById(req.user.id).select('-password');
+        const { role } = req.body;
+        if (req.params.id === req.user.id) return sendFail(res, 400, "Cannot change your own role", 'SELF_ACTION');
+
+        const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true }).select('-password');
+        if (!user) return sendFail(res, 404, "Not found");
+        forgetAuthState(user._id);
         res.json(user);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
-// Edit My Profile
-app.put('/profile', authenticateToken, upload.single('profileImage'), async (req, res) => {
+
+// Suspend / Unsuspend User
+app.put('/admin/users/:id/suspend', authenticateToken, requireAdmin, validate({
+    ...idParams,
+    body: {
+        suspended: { type: 'boolean' },
+        reason: { type: 'string', max: 500 }
+    }
+}), async (req, res) => {
     try {
-        const updates = {};
-        const { fullname, tel, password } = req.body;
-        if (fullname) updates.fullname = fullname;
-        if (tel) updates.tel = tel;
-        if (password) updates.password = await bcrypt.hash(password, 10);
-        if (req.file && req.file.path) updates.profileImage = req.file.path;
+        const suspended = req.body.suspended !== false;
+        if (req.params.id === req.user.id) return sendFail(res, 400, "Cannot suspend yourself", 'SELF_ACTION');
 
-        const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true });
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            {
+                suspended,
+                suspendedAt: suspended ? new Date() : null,
+                suspendReason: suspended ? (req.body.reason || null) : null
+            },
+            { new: true }
+        ).select('-password');
+        if (!user) return sendFail(res, 404, "Not found");
+        forgetAuthState(user._id);
+
+        // เตะออกจากทุก session (access token ที่เหลือใช้ไม่ได้แล้วเพราะ authenticateToken เช็ค suspended)
+        if (suspended) {
+            await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+        }
         res.json(user);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// --- 8. Routes: Posts (Main Features) ---
+// Delete User (ลบโพสต์ คอมเมนต์ และไลก์ของ user คนนี้ด้วย)
+app.delete('/admin/users/:id', authenticateToken, requireAdmin, validate(idParams), async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) return sendFail(res, 400, "Cannot delete yourself", 'SELF_ACTION');
 
-// 1. Create Post
-app.post('/post', authenticateToken, upload.single('image'), async (req, res) => {
+        const user = await User.findByIdAndDelete(req.params.id);
+        if (!user) return sendFail(res, 404, "Not found");
+        forgetAuthState(user._id);
+
+        await Promise.all([
+            deletePostsAndTags({ owner: user._id }),
+            pullUserFromPosts(user._id),
+            RefreshToken.deleteMany({ user: user._id }),
+            Notification.deleteMany({ recipient: user._id }),
+            Notification.updateMany({ actors: user._id }, { $pull: { actors: user._id } }),
+            Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] }),
+            Bookmark.deleteMany({ user: user._id }),
+            Collection.deleteMany({ owner: user._id }),
+            deleteConversationsOf(user._id),
+            removeMedia(mediaUrls({ url: user.profileImage, variants: user.profileImageVariants }))
+        ]);
+        res.json({ message: "Deleted" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Delete Any Comment
+app.delete('/admin/post/:id/comment/:commentId', authenticateToken, requireAdmin, validate(commentParams), async (req, res) => {
     try {
-        const { title, content, tag } = req.body;
-        const image = req.file ? req.file.path : null;
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        const comment = post && post.comments.id(req.params.commentId);
+        if (!comment || comment.deletedAt) return sendFail(res, 404, "Not found");
 
-        const newPost = await Post.create({
-            title,
-            content,
-            tag,
-            image, 
-            owner: req.user.id
+        trashComment(comment, req.user.id);
+        await post.save();
+        res.json({ message: "Moved to trash", purgeAt: trashPurgeAt(comment.deletedAt) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Edit Tag (ชื่อที่แสดงผล / สี)
+app.put('/admin/tags/:name', authenticateToken, requireAdmin, validate({
+    params: { name: { type: 'string', required: true, max: MAX_TAG_LENGTH } },
+    body: {
+        displayName: { type: 'string', max: MAX_TAG_LENGTH, label: 'Display name' },
+        color: { type: 'string', pattern: /^#[0-9a-fA-F]{6}$/ }
+    }
+}), async (req, res) => {
+    try {
+        const { displayName, color } = req.body;
+        const updates = {};
+        if (displayName) {
+            if (normalizeTag(displayName) !== normalizeTag(req.params.name)) {
+                return validationError(res, { displayName: "Display name must match the tag name" });
+            }
+            updates.displayName = displayName;
+        }
+        if (color) updates.color = color;
+
+        const tag = await Tag.findOneAndUpdate({ name: normalizeTag(req.params.name) }, updates, { new: true });
+        if (!tag) return sendFail(res, 404, "Not found");
+        res.json(tag);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Report Queue
+app.get('/admin/reports', authenticateToken, requireAdmin, validate({
+    query: {
+        ...listQuery,
+        status: { type: 'string', values: ['open', 'dismissed', 'hidden', 'deleted'] }
+    }
+}), async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = pageLimit(req.query.limit);
+
+        const [reports, total] = await Promise.all([
+            Report.find({ status })
+                .populate('reporter', 'fullname email')
+                .populate('post', 'title hidden owner comments')
+                .sort({ created_at: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Report.countDocuments({ status })
+        ]);
+
+        // แนบข้อความคอมเมนต์ที่ถูกรายงานมาให้ด้วย แทนการส่งคอมเมนต์ทั้งโพสต์
+        const items = reports.map(r => {
+            const report = r.toObject();
+            if (report.post) {
+                const comment = report.comment
+                    ? report.post.comments.find(c => c._id.toString() === report.comment.toString())
+                    : null;
+                report.commentText = comment ? comment.text : null;
+                delete report.post.comments;
+            }
+            return report;
         });
 
-        // ตัดการ update User ทิ้งไปเลย (ลดการทำงาน Database)
-        
-        res.status(201).json(newPost);
+        res.json({ items, total, page, limit });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 2. Get All Posts
-app.get('/post', authenticateToken, async (req, res) => {
+// Resolve Report (มีผลกับทุกรายงานที่ยังเปิดอยู่ของเป้าหมายเดียวกัน)
+app.put('/admin/reports/:id', authenticateToken, requireAdmin, validate({
+    ...idParams,
+    body: { action: { type: 'string', required: true, values: ['dismiss', 'hide', 'delete'] } }
+}), async (req, res) => {
     try {
-        const { search, tag, order_by } = req.query;
-        let query = {};
+        const { action } = req.body;
+        const statusByAction = { dismiss: 'dismissed', hide: 'hidden', delete: 'deleted' };
 
-        if (search) query.title = { $regex: search, $options: 'i' };
-        if (tag) query.tag = tag;
+        const report = await Report.findById(req.params.id);
+        if (!report) return sendFail(res, 404, 'Not found');
 
-        let postsQuery = Post.find(query)
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage');
-        
-        if (order_by === 'post_date') {
-            postsQuery = postsQuery.sort({ created_at: -1 });
+        const postId = report.post;
+        const commentId = report.comment;
+
+        if (commentId) {
+            if (action === 'delete') {
+                const post = await Post.findOne({ _id: postId, deletedAt: null });
+                const comment = post && post.comments.id(commentId);
+                if (comment && !comment.deletedAt) {
+                    trashComment(comment, req.user.id);
+                    await post.save();
+                }
+            } else {
+                // ผ่าน save ให้ commentCount นับใหม่
+                const post = await Post.findById(postId);
+                const comment = post && post.comments.id(commentId);
+                if (comment && comment.hidden !== (action === 'hide')) {
+                    comment.hidden = action === 'hide';
+                    await post.save();
+                }
+            }
+        } else if (action === 'delete') {
+            await Post.updateOne({ _id: postId, deletedAt: null }, { deletedAt: new Date(), deletedBy: req.user.id });
         } else {
-            postsQuery = postsQuery.sort({ created_at: 1 });
+            await Post.updateOne({ _id: postId }, { hidden: action === 'hide' });
+        }
+
+        await Report.updateMany(
+            { post: postId, comment: commentId, status: 'open' },
+            { status: statusByAction[action], resolvedBy: req.user.id, resolvedAt: new Date() }
+        );
+        if (action === 'delete' && !commentId) {
+            // โพสต์อยู่ในถังขยะแล้ว รายงานของคอมเมนต์ในโพสต์นั้นก็ปิดไปด้วย
+            await Report.updateMany(
+                { post: postId, status: 'open' },
+                { status: 'deleted', resolvedBy: req.user.id, resolvedAt: new Date() }
+            );
         }
 
-        const posts = await postsQuery.exec();
-        res.json(posts.map(p => ({
-            ...p.toObject(),
-            likeCount: p.likes ? p.likes.length : 0
-        })));
+        res.json({ message: "Resolved", status: statusByAction[action] });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
-// 3. Get Post by ID
-app.get('/post/:id', authenticateToken, async (req, res) => {
+
+// --- 15. Routes: Saved Posts ---
+// บันทึกโพสต์เป็นของส่วนตัว ไม่มีใครเห็นนอกจากเจ้าของ และไม่แจ้งเจ้าของโพสต์
+const MAX_COLLECTIONS = 50;
+const MAX_COLLECTION_NAME_LENGTH = 50;
+
+const collectionBody = { name: { type: 'string', required: true, max: MAX_COLLECTION_NAME_LENGTH, label: 'Collection name' } };
+
+// collection ที่ส่งมาต้องเป็นของคนที่ login อยู่ (ไม่ใช่ = 404 เหมือนไม่มีอยู่)
+const findOwnCollection = (id, userId) => Collection.findOne({ _id: id, owner: userId });
+
+// Save Post (บันทึกซ้ำ = ย้ายไป collection ที่ส่งมา ไม่ส่ง collection = ไม่จัดกลุ่ม)
+app.post('/post/:id/save', authenticateToken, validate({
+    ...idParams,
+    body: { collection: { type: 'objectId' } }
+}), async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id)
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage');
-        if (!post) return res.status(404).json({ error: 'Post not found' });
-        res.json({
-            ...post.toObject(),
-            likeCount: post.likes ? post.likes.length : 0
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null }).select('owner hidden status visibility expiresAt');
+        if (!post) return sendFail(res, 404, "Post not found");
+        const accessError = postInteractionError(post, req.user);
+        if (accessError) return res.status(accessError.status).json(accessError.body);
+
+        const collectionId = req.body.collection || null;
+        if (collectionId && !(await findOwnCollection(collectionId, req.user.id))) {
+            return sendFail(res, 404, "Collection not found");
+        }
+
+        await Bookmark.updateOne(
+            { user: req.user.id, post: post._id },
+            { $set: { collectionId }, $setOnInsert: { created_at: new Date() } },
+            { upsert: true }
+        ).catch(err => {
+            // กดพร้อมกันสองครั้ง ตัวหลังชน unique index = บันทึกไว้แล้ว
+            if (err.code !== 11000) throw err;
         });
+        res.json({ saved: true, collection: collectionId });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 4. Get My Posts
-app.get('/mypost', authenticateToken, async (req, res) => {
+// Unsave Post
+app.delete('/post/:id/save', authenticateToken, validate(idParams), async (req, res) => {
     try {
-        // ค้นหา Post ที่เจ้าของคือ ID ของคน Login
-        const posts = await Post.find({ owner: req.user.id }) 
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage')
-            .sort({ created_at: -1 });
-
-        res.json(posts.map(post => ({
-            ...post.toObject(),
-            likeCount: post.likes ? post.likes.length : 0
-        })));
+        await Bookmark.deleteOne({ user: req.user.id, post: req.params.id });
+        res.json({ saved: false, collection: null });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 5. Get Liked Posts
-app.get('/likedpost', authenticateToken, async (req, res) => {
+// Get Saved Posts (?collection= เฉพาะใน collection นั้น)
+app.get('/saved', authenticateToken, validate({
+    query: { ...pageQuery.query, collection: { type: 'objectId' } }
+}), parsePagination, async (req, res) => {
     try {
-        // ค้นหา Post ที่ใน Array likes มี ID ของเราอยู่
-        const posts = await Post.find({ likes: req.user.id }) 
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage')
-            .sort({ created_at: -1 });
+        const filter = { user: req.user.id };
+        if (req.query.collection) {
+            if (!(await findOwnCollection(req.query.collection, req.user.id))) {
+                return sendFail(res, 404, "Collection not found");
+            }
+            filter.collectionId = req.query.collection;
+        }
+
+        // เรียงตามเวลาที่บันทึก แบ่งหน้าที่ Bookmark เลย ไม่ดึง id ทั้งหมดมาทำ $in
+        // โพสต์ที่ตอนนี้ไม่อยู่ในรายการสาธารณะแล้ว (ซ่อน / ถังขยะ / กลับเป็น draft / หมดอายุ) ไม่แสดง แต่ bookmark ยังอยู่
+        const { limit, cursor } = req.page;
+        if (cursor && cursor.direction !== -1) return validationError(res, { cursor: "Cursor belongs to a different sort order" });
+        const match = { user: new mongoose.Types.ObjectId(req.user.id) };
+        if (filter.collectionId) match.collectionId = new mongoose.Types.ObjectId(filter.collectionId);
+        if (cursor) {
+            match.$or = [
+                { created_at: { $lt: cursor.created_at } },
+                { created_at: cursor.created_at, _id: { $lt: cursor.id } }
+            ];
+        }
+
+        const bookmarks = await Bookmark.aggregate([
+            { $match: match },
+            { $sort: { created_at: -1, _id: -1 } },
+            {
+                $lookup: {
+                    from: Post.collection.name,
+                    let: { postId: '$post' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$_id', '$$postId'] },
+                                deletedAt: null,
+                                hidden: { $ne: true },
+                                ...livePosts(),
+                                ...visibleTo(req.user)
+                            }
+                        },
+                        { $project: { reactions: 0, comments: 0 } }
+                    ],
+                    as: 'post'
+                }
+            },
+            { $unwind: '$post' },
+            { $limit: limit + 1 }
+        ]);
 
-        res.json(posts.map(post => ({
-            ...post.toObject(),
-            likeCount: post.likes ? post.likes.length : 0
-        })));
+        const hasMore = bookmarks.length > limit;
+        const page = hasMore ? bookmarks.slice(0, limit) : bookmarks;
+        const items = page.map(b => ({ ...b.post, savedAt: b.created_at }));
+        await Post.populate(items, { path: 'owner', select: 'fullname role profileImage' });
+
+        const last = page[page.length - 1];
+        res.json({ items, nextCursor: hasMore ? encodeCursor(last) : null });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 6. Get Commented Posts
-app.get('/commentedpost', authenticateToken, async (req, res) => {
+// Get My Collections (พร้อมจำนวนโพสต์ในแต่ละอัน)
+app.get('/collections', authenticateToken, async (req, res) => {
     try {
-        // ค้นหา Post ที่มี comments ไหนสักอันที่เป็นของเรา
-        const posts = await Post.find({ "comments.owner": req.user.id }) 
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage')
-            .sort({ created_at: -1 });
+        const [collections, counts] = await Promise.all([
+            Collection.find({ owner: req.user.id }).sort({ name: 1 }),
+            Bookmark.aggregate([
+                { $match: { user: new mongoose.Types.ObjectId(req.user.id) } },
+                { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+            ])
+        ]);
+        const countOf = (id) => counts.find(c => String(c._id) === String(id))?.count || 0;
 
-        res.json(posts.map(post => ({
-            ...post.toObject(),
-            likeCount: post.likes ? post.likes.length : 0
-        })));
+        res.json({
+            total: counts.reduce((sum, c) => sum + c.count, 0),
+            unsorted: countOf(null),
+            collections: collections.map(c => ({ ...c.toObject(), count: countOf(c._id) }))
+        });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 7. Get Posts by User ID (ดูโพสต์คนอื่น) (ยังไม่ใช้ แต่เผื่อไว้)
-app.get('/user/:id/posts', authenticateToken, async (req, res) => {
+// Create Collection
+app.post('/collections', authenticateToken, validate({ body: collectionBody }), async (req, res) => {
     try {
-        const userId = req.params.id;
-        // ค้นหา Post ที่ owner ตรงกับ ID ที่ส่งมา
-        const posts = await Post.find({ owner: userId })
-            .populate('owner', 'fullname role profileImage')
-            .populate('comments.owner', 'fullname role profileImage') // เพิ่ม populate comment owner ให้ด้วย
-            .sort({ created_at: -1 });
+        const { name } = req.body;
+        if (await Collection.countDocuments({ owner: req.user.id }) >= MAX_COLLECTIONS) {
+            return validationError(res, { name: `You can have at most ${MAX_COLLECTIONS} collections` });
+        }
+        if (await Collection.exists({ owner: req.user.id, name })) {
+            return validationError(res, { name: "You already have a collection with this name" });
+        }
 
-        res.json(posts.map(p => ({
-            ...p.toObject(),
-            likeCount: p.likes ? p.likes.length : 0,
-            commentCount: p.comments ? p.comments.length : 0
-        })));
+        const collection = await Collection.create({ owner: req.user.id, name });
+        res.status(201).json({ ...collection.toObject(), count: 0 });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        if (err.code === 11000) return validationError(res, { name: "You already have a collection with this name" });
+        sendError(res, err);
     }
 });
 
-// 8. Delete Post
-app.delete('/deletepost/:id', authenticateToken, async (req, res) => {
+// Rename Collection
+app.put('/collections/:id', authenticateToken, validate({ ...idParams, body: collectionBody }), async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id);
-        if (!post) return res.status(404).json({ message: "Not found" });
-        
-        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({ message: "Unauthorized" });
+        const collection = await findOwnCollection(req.params.id, req.user.id);
+        if (!collection) return sendFail(res, 404, "Collection not found");
+
+        const { name } = req.body;
+        if (name !== collection.name && await Collection.exists({ owner: req.user.id, name })) {
+            return validationError(res, { name: "You already have a collection with this name" });
         }
-        
-        await Post.findByIdAndDelete(req.params.id);
-        
-        // ตัดการ update User ทิ้งไป
+        collection.name = name;
+        await collection.save();
+        res.json(collection);
+    } catch (err) {
+        if (err.code === 11000) return validationError(res, { name: "You already have a collection with this name" });
+        sendError(res, err);
+    }
+});
+
+// Delete Collection (โพสต์ข้างในยังบันทึกไว้ แค่กลายเป็นไม่จัดกลุ่ม)
+app.delete('/collections/:id', authenticateToken, validate(idParams), async (req, res) => {
+    try {
+        const collection = await Collection.findOneAndDelete({ _id: req.params.id, owner: req.user.id });
+        if (!collection) return sendFail(res, 404, "Collection not found");
+
+        await Bookmark.updateMany({ user: req.user.id, collectionId: collection._id }, { $set: { collectionId: null } });
         res.json({ message: "Deleted" });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// 9. Edit Post
-app.put('/post/:id', authenticateToken, upload.single('image'), async (req, res) => {
+// --- 16. Routes: Messages ---
+// คุยกันสองคน ข้อความใหม่ส่งทาง SSE channel "inbox" ของผู้รับ
+const MAX_MESSAGE_LENGTH = 2000;
+
+const conversationKey = (a, b) => [String(a), String(b)].sort().join(':');
+
+const unreadMessageCount = (userId) => Message.countDocuments({ recipient: userId, readAt: null });
+
+// ห้องที่ user เป็นหนึ่งในสองคน (ไม่ใช่ = 404 เหมือนไม่มีอยู่)
+const findOwnConversation = (id, userId) => Conversation.findOne({ _id: id, participants: userId });
+
+const deleteConversationsOf = async (userId) => {
+    const conversations = await Conversation.find({ participants: userId }).select('_id');
+    const ids = conversations.map(c => c._id);
+    await Message.deleteMany({ conversation: { $in: ids } });
+    await Conversation.deleteMany({ _id: { $in: ids } });
+};
+
+// บันทึกข้อความ อัปเดตห้อง แล้วแจ้งผู้รับแบบ real-time
+const sendMessage = async (conversation, senderId, text, postId = null) => {
+    const recipient = conversation.participants.find(p => p.toString() !== senderId);
+    const message = await Message.create({ conversation: conversation._id, sender: senderId, recipient, text, post: postId });
+
+    conversation.lastMessage = { text, sender: senderId };
+    conversation.updated_at = message.created_at;
+    await conversation.save();
+
+    await message.populate('post', 'title');
+    publish(`inbox:${recipient}`, 'message:new', { conversationId: conversation._id, message });
+    return message;
+};
+
+const messageBody = { text: { type: 'string', required: true, max: MAX_MESSAGE_LENGTH, label: 'Message' } };
+
+// Get My Conversations (ข้อความล่าสุดก่อน พร้อมจำนวนที่ยังไม่อ่านในแต่ละห้อง)
+app.get('/conversations', authenticateToken, validate({ query: { limit: { type: 'int', min: 1 } } }), async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id);
-        if (!post) return res.status(404).json({ message: 'Not found' });
+        const limit = pageLimit(req.query.limit);
 
-        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Unauthorized' });
-        }
+        const conversations = await Conversation.find({ participants: req.user.id })
+            .populate('participants', 'fullname profileImage')
+            .sort({ updated_at: -1 })
+            .limit(limit)
+            .lean();
+        const unread = await Message.aggregate([
+            { $match: { recipient: new mongoose.Types.ObjectId(req.user.id), readAt: null, conversation: { $in: conversations.map(c => c._id) } } },
+            { $group: { _id: '$conversation', count: { $sum: 1 } } }
+        ]);
 
-        const { title, content, tag } = req.body;
-        if (title) post.title = title;
-        if (content) post.content = content;
-        if (tag) post.tag = tag;
-        if (req.file && req.file.path) post.image = req.file.path;
+        res.json({
+            items: conversations.map(c => ({
+                ...c,
+                // อีกฝ่ายของห้อง (null ถ้าบัญชีถูกลบไปแล้ว)
+                other: c.participants.find(p => p && p._id.toString() !== req.user.id) || null,
+                unreadCount: unread.find(u => u._id.equals(c._id))?.count || 0
+            })),
+            unreadCount: await unreadMessageCount(req.user.id)
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
 
-        await post.save();
-        res.json(post);
+// Start Conversation (มีห้องกับคนนี้อยู่แล้วจะส่งต่อในห้องเดิม)
+app.post('/conversations', authenticateToken, rateLimit(RATE_LIMITS.messageUser, { perUser: true }), validate({
+    body: {
+        recipient: { type: 'objectId', required: true },
+        post: { type: 'objectId' },
+        ...messageBody
+    }
+}), async (req, res) => {
+    try {
+        const { recipient, post, text } = req.body;
+        if (recipient === req.user.id) return validationError(res, { recipient: "You cannot message yourself" });
+
+        const recipientUser = await User.findById(recipient).select('suspended');
+        if (!recipientUser || recipientUser.suspended) return sendFail(res, 404, "User not found");
+        if (post && !(await Post.exists({ _id: post, deletedAt: null }))) return sendFail(res, 404, "Post not found");
+
+        const key = conversationKey(req.user.id, recipient);
+        const conversation = await Conversation.findOneAndUpdate(
+            { key },
+            { $setOnInsert: { key, participants: [req.user.id, recipient], created_at: new Date() } },
+            { upsert: true, new: true }
+        ).catch(err => {
+            // สองคนทักกันพร้อมกัน ตัวหลังชน unique index ให้ใช้ห้องที่เพิ่งสร้าง
+            if (err.code === 11000) return Conversation.findOne({ key });
+            throw err;
+        });
+
+        const message = await sendMessage(conversation, req.user.id, text, post || null);
+        res.status(201).json({ conversation, message });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// --- 9. Routes: Actions (Like & Comment) ---
+// Get Messages (ใหม่สุดก่อน ?cursor= = id ของข้อความเก่าสุดที่มีแล้ว เพื่อโหลดก่อนหน้านั้น)
+app.get('/conversations/:id/messages', authenticateToken, validate({
+    ...idParams,
+    query: { cursor: { type: 'objectId' }, limit: { type: 'int', min: 1 } }
+}), async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req.params.id, req.user.id)
+            .populate('participants', 'fullname profileImage');
+        if (!conversation) return sendFail(res, 404, "Conversation not found");
 
-// Like / Unlike
-app.post('/post/:id/like', authenticateToken, async (req, res) => {
+        const limit = pageLimit(req.query.limit);
+        const query = { conversation: conversation._id };
+        if (req.query.cursor) query._id = { $lt: req.query.cursor };
+
+        const messages = await Message.find(query)
+            .populate('post', 'title')
+            .sort({ _id: -1 })
+            .limit(limit + 1);
+        const hasMore = messages.length > limit;
+        const items = hasMore ? messages.slice(0, limit) : messages;
+
+        res.json({
+            conversation,
+            items,
+            nextCursor: hasMore ? items[items.length - 1]._id : null
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Reply in Conversation
+app.post('/conversations/:id/messages', authenticateToken, rateLimit(RATE_LIMITS.messageUser, { perUser: true }), validate({
+    ...idParams,
+    body: messageBody
+}), async (req, res) => {
     try {
-        const postId = req.params.id;
-        const userId = req.user.id;
+        const conversation = await findOwnConversation(req.params.id, req.user.id);
+        if (!conversation) return sendFail(res, 404, "Conversation not found");
 
-        const post = await Post.findById(postId);
-        if (!post) return res.status(404).json({ message: 'Not found' });
+        const other = conversation.participants.find(p => p.toString() !== req.user.id);
+        const otherUser = other && await User.findById(other).select('suspended');
+        if (!otherUser || otherUser.suspended) return sendFail(res, 403, "This user can no longer receive messages", 'RECIPIENT_UNAVAILABLE');
 
-        const index = post.likes.findIndex(id => id.toString() === userId);
-        
-        if (index === -1) {
-            // Like
-            post.likes.push(userId);
-        } else {
-            // Unlike
-            post.likes.splice(index, 1);
+        const message = await sendMessage(conversation, req.user.id, req.body.text);
+        res.status(201).json(message);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Mark Conversation as Read (ข้อความถึงเราทั้งหมดในห้องนี้)
+app.post('/conversations/:id/read', authenticateToken, validate(idParams), async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req.params.id, req.user.id);
+        if (!conversation) return sendFail(res, 404, "Conversation not found");
+
+        await Message.updateMany({ conversation: conversation._id, recipient: req.user.id, readAt: null }, { readAt: new Date() });
+        res.json({ unreadCount: await unreadMessageCount(req.user.id) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Unread Message Count (รวมทุกห้อง ใช้แสดงที่ Header)
+app.get('/messages/unread-count', authenticateToken, async (req, res) => {
+    try {
+        res.json({ unreadCount: await unreadMessageCount(req.user.id) });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// --- 17. Routes: Trash ---
+// ของที่ลบแล้วกู้คืนได้จนกว่าจะครบ TRASH_RETENTION_DAYS ถ้า admin เป็นคนลบ เจ้าของกู้เองไม่ได้ (ต้องให้ admin กู้)
+const canRestore = (user, ownerId, deletedBy) =>
+    user.role === 'admin' || (String(ownerId) === user.id && String(deletedBy) === user.id);
+
+// My Trash: โพสต์ (ใหม่สุดก่อน ตามวันที่โพสต์)
+app.get('/trash', authenticateToken, validate(pageQuery), parsePagination, async (req, res) => {
+    try {
+        const { items, nextCursor } = await findPostsPage({ owner: req.user.id, deletedAt: { $ne: null } }, req.page);
+        res.json({
+            items: items.map(p => ({
+                ...p,
+                purgeAt: trashPurgeAt(p.deletedAt),
+                restorable: canRestore(req.user, p.owner?._id, p.deletedBy)
+            })),
+            nextCursor
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// My Trash: คอมเมนต์ (ลบล่าสุดก่อน)
+app.get('/trash/comments', authenticateToken, validate({ query: { limit: { type: 'int', min: 1 } } }), async (req, res) => {
+    try {
+        const limit = pageLimit(req.query.limit);
+        const trashed = {
+            owner: new mongoose.Types.ObjectId(req.user.id),
+            deletedAt: { $ne: null },
+            text: { $ne: DELETED_COMMENT_TEXT }
+        };
+
+        const rows = await Post.aggregate([
+            { $match: { deletedAt: null, comments: { $elemMatch: trashed } } },
+            { $unwind: '$comments' },
+            { $match: Object.fromEntries(Object.entries(trashed).map(([key, value]) => [`comments.${key}`, value])) },
+            { $sort: { 'comments.deletedAt': -1 } },
+            { $limit: limit },
+            { $project: { title: 1, comment: '$comments' } }
+        ]);
+
+        res.json({
+            items: rows.map(({ _id, title, comment }) => ({
+                post: { _id, title },
+                comment,
+                purgeAt: trashPurgeAt(comment.deletedAt),
+                restorable: canRestore(req.user, comment.owner, comment.deletedBy)
+            }))
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Restore Post
+app.post('/post/:id/restore', authenticateToken, validate(idParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!post) return sendFail(res, 404, "Not found");
+
+        if (post.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, "Unauthorized");
+        }
+        if (!canRestore(req.user, post.owner, post.deletedBy)) {
+            return sendFail(res, 403, "This post was removed by an admin", 'REMOVED_BY_ADMIN');
         }
-        
-        await post.save();
-        // ตัดการ update User ทิ้งไป
 
-        res.json({ likeCount: post.likes.length });
+        post.deletedAt = null;
+        post.deletedBy = null;
+        await post.save();
+        res.json(presentPost(post));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
     }
 });
 
-// Comment
-app.post('/post/:id/comment', authenticateToken, async (req, res) => {
+// Restore Comment
+app.post('/post/:id/comment/:commentId/restore', authenticateToken, validate(commentParams), async (req, res) => {
     try {
-        const { text } = req.body;
-        const postId = req.params.id;
-        const userId = req.user.id;
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        const comment = post && post.comments.id(req.params.commentId);
+        if (!comment || !comment.deletedAt || isPurgedComment(comment)) return sendFail(res, 404, "Not found");
 
-        const post = await Post.findById(postId);
-        if (!post) return res.status(404).json({ message: 'Not found' });
+        if (comment.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+            return sendFail(res, 403, "Unauthorized");
+        }
+        if (!canRestore(req.user, comment.owner, comment.deletedBy)) {
+            return sendFail(res, 403, "This comment was removed by an admin", 'REMOVED_BY_ADMIN');
+        }
 
-        post.comments.push({ text, owner: userId });
+        comment.deletedAt = null;
+        comment.deletedBy = null;
         await post.save();
+        res.json(comment);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
 
-        // ตัดการ update User ทิ้งไป
+// Admin Trash: โพสต์ที่ลบแล้วของทุกคน
+app.get('/admin/trash', authenticateToken, requireAdmin, validate(pageQuery), parsePagination, async (req, res) => {
+    try {
+        const { items, nextCursor } = await findPostsPage({ deletedAt: { $ne: null } }, req.page);
+        res.json({
+            items: items.map(p => ({ ...p, purgeAt: trashPurgeAt(p.deletedAt) })),
+            nextCursor
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+// Purge Post (ลบจริงทันที เฉพาะโพสต์ที่อยู่ในถังขยะแล้ว)
+app.delete('/admin/post/:id/purge', authenticateToken, requireAdmin, validate(idParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).select('_id');
+        if (!post) return sendFail(res, 404, "Not found");
+
+        await deletePostsAndTags({ _id: post._id });
+        res.json({ message: "Purged" });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
 
-        res.status(201).json(post);
+// Purge Comment (ลบจริงทันที เฉพาะคอมเมนต์ที่อยู่ในถังขยะแล้ว)
+app.delete('/admin/post/:id/comment/:commentId/purge', authenticateToken, requireAdmin, validate(commentParams), async (req, res) => {
+    try {
+        const post = await Post.findOne({ _id: req.params.id, deletedAt: null });
+        const comment = post && post.comments.id(req.params.commentId);
+        if (!comment || !comment.deletedAt || isPurgedComment(comment)) return sendFail(res, 404, "Not found");
+
+        purgeComment(post, comment);
+        await post.save();
+        res.json({ message: "Purged" });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        sendError(res, err);
+    }
+});
+
+// --- Error Handler ---
+// error จาก middleware ก่อนถึง route (JSON พัง, upload ไม่ผ่าน) ให้ตอบรูปแบบเดียวกับที่อื่น
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ code: 'INVALID_JSON', message: "Malformed JSON body" });
     }
+    if (err instanceof multer.MulterError || err.uploadRejected) {
+        // เกิน maxCount ของ field ไหน multer แจ้งเป็น LIMIT_UNEXPECTED_FILE
+        const message = err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images'
+            ? UPLOAD_ERROR_MESSAGES.LIMIT_FILE_COUNT
+            : UPLOAD_ERROR_MESSAGES[err.code] || err.message;
+        return validationError(res, { [err.field || 'file']: message });
+    }
+    sendError(res, err);
 });
 
 // --- Server Start ---
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+// scripts/ require ไฟล์นี้เพื่อใช้ model ร่วมกัน จึง listen เฉพาะตอนรัน server.js ตรงๆ
+if (require.main === module) {
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+    startPostScheduler();
+    startTrashPurge();
+}
+
+module.exports = { app, mongoose, Post, Tag, User, parseTags, defaultTagColor, reconcileMedia, recountPostCounters, MEDIA_STORAGE };
\ No newline at end of file
@@ -3,27 +3,44 @@ import Login from "./pages/Login"
 import Home from "./pages/Home"
 import Post from "./pages/Post"
 import PostDetail from "./pages/PostDetail"
+import EditPost from "./pages/EditPost"
 import Contact from "./pages/Contact"
 import Profile from "./pages/Profile"
 import Search from "./pages/Search"
+import Admin from "./pages/Admin"
+import TagPage from "./pages/TagPage"
+import UserPage from "./pages/UserPage"
+import Messages from "./pages/Messages"
 import ProtectedRoute from "./components/ProtectedRoute"
+import AdminRoute from "./components/AdminRoute"
 import MainLayout from "./layout/MainLayout"
+import RateLimitNotice from "./components/RateLimitNotice"
 
 export default function App() {
   return (
     <BrowserRouter>
+      <RateLimitNotice />
       <Routes>
         <Route path="/login" element={<Login />} />
-        <Route element={<ProtectedRoute />}>
-          <Route element={<MainLayout />}>
-            <Route path="/" element={<Home />} />
+        <Route element={<MainLayout />}>
+          {/* หน้าอ่านอย่างเดียว คนที่ยังไม่ login ก็เปิดได้ (เห็นเฉพาะโพสต์ public) */}
+          <Route path="/" element={<Home />} />
+          <Route path="/postdetail/:id" element={<PostDetail/>} />
+          <Route path="/search" element={<Search/>} />
+          <Route path="/tag/:name" element={<TagPage/>} />
+          <Route path="/user/:id" element={<UserPage/>} />
+          <Route path="/contact" element={<Contact/>} />
+          <Route element={<ProtectedRoute />}>
             <Route path="/post" element={<Post/>} />
-            <Route path="/contact" element={<Contact/>} />
             <Route path="/profile" element={<Profile/>} />
+            <Route path="/messages" element={<Messages/>} />
+            <Route path="/messages/:id" element={<Messages/>} />
             <Route path="/editprofile" element={<EditProfile/>} />
+            <Route path="/newpost" element={<EditPost/>} />
             <Route path="/editpost/:id" element={<EditPost/>} />
-            <Route path="/postdetail/:id" element={<PostDetail/>} />
-            <Route path="/search" element={<Search/>} />
+            <Route element={<AdminRoute />}>
+              <Route path="/admin" element={<Admin/>} />
+            </Route>
           </Route>
         </Route>
       </Routes>
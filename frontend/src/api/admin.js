@@ -0,0 +1,50 @@
+import client from "./client"
+import Configs from "../config"
+
+export const getUsersApi = async (params = {}) => {
+  const response = await client.get(Configs.api.admin.users, { params })
+  return response.data
+}
+
+export const updateUserRoleApi = async (userId, role) => {
+  const response = await client.put(Configs.api.admin.user + userId + "/role", { role })
+  return response.data
+}
+
+export const suspendUserApi = async (userId, suspended, reason) => {
+  const response = await client.put(Configs.api.admin.user + userId + "/suspend", {
+    suspended,
+    reason,
+  })
+  return response.data
+}
+
+export const deleteUserApi = async (userId) => {
+  const response = await client.delete(Configs.api.admin.user + userId)
+  return response.data
+}
+
+export const getReportsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.admin.reports, { params })
+  return response.data
+}
+
+export const resolveReportApi = async (reportId, action) => {
+  const response = await client.put(Configs.api.admin.report + reportId, { action })
+  return response.data
+}
+
+export const updateTagApi = async (name, updates) => {
+  const response = await client.put(Configs.api.admin.tag + encodeURIComponent(name), updates)
+  return response.data
+}
+
+export const getAdminTrashApi = async (params = {}) => {
+  const response = await client.get(Configs.api.admin.trash, { params })
+  return response.data
+}
+
+export const purgePostApi = async (postId) => {
+  const response = await client.delete(Configs.api.admin.post + postId + "/purge")
+  return response.data
+}
@@ -20,3 +20,42 @@ export const registerApi = async (payload) => {
 
   return response.data;
 };
+
+export const logoutApi = async (refreshToken) => {
+  const response = await client.post(Configs.api.auth.logout, {
+    refreshToken,
+  });
+
+  return response.data;
+};
+
+export const verifyEmailApi = async (token) => {
+  const response = await client.post(Configs.api.auth.verifyEmail, { token });
+
+  return response.data;
+};
+
+export const resendVerificationApi = async (email) => {
+  const response = await client.post(Configs.api.auth.resendVerification, {
+    email,
+  });
+
+  return response.data;
+};
+
+export const forgotPasswordApi = async (email) => {
+  const response = await client.post(Configs.api.auth.forgotPassword, {
+    email,
+  });
+
+  return response.data;
+};
+
+export const resetPasswordApi = async (token, password) => {
+  const response = await client.post(Configs.api.auth.resetPassword, {
+    token,
+    password,
+  });
+
+  return response.data;
+};
@@ -21,4 +21,125 @@ client.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-export default client;
\ No newline at end of file
+// --- Silent session renewal ---
+// เมื่อ access token หมดอายุ (401/403) จะขอ token ใหม่ครั้งเดียว
+// request อื่นที่ fail ระหว่างนั้นจะรอในคิว แล้วยิงซ้ำเมื่อได้ token ใหม่
+let isRefreshing = false;
+let pendingQueue = [];
+
+const flushQueue = (error, token) => {
+  pendingQueue.forEach(({ resolve, reject }) =>
+    error ? reject(error) : resolve(token)
+  );
+  pendingQueue = [];
+};
+
+const skipRefresh = (url = "") =>
+  [
+    Configs.api.auth.login,
+    Configs.api.auth.register,
+    Configs.api.auth.refresh,
+    Configs.api.auth.logout,
+  ].includes(url);
+
+// 403 ใช้กับกรณีไม่มีสิทธิ์ด้วย (เช่นลบโพสต์คนอื่น) จึงนับเฉพาะ token ไม่ถูกต้อง (AUTH_INVALID)
+const isAuthError = (error) => {
+  const status = error.response?.status;
+  return (
+    status === 401 ||
+    (status === 403 && error.response.data?.code === "AUTH_INVALID")
+  );
+};
+
+// ขอ access token ใหม่ด้วย refresh token แล้วคืน token ใหม่
+// ถ้ามีการ refresh ค้างอยู่แล้วจะเข้าคิวรอผลเดียวกัน (export ไว้ให้ EventSource ที่ไม่ผ่าน interceptor ใช้ด้วย)
+export const refreshSession = () => {
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => {
+      pendingQueue.push({ resolve, reject });
+    });
+  }
+
+  const refreshToken = localStorage.getItem(Configs.storage.refreshToken);
+  if (!refreshToken) {
+    window.dispatchEvent(new Event("auth:expired"));
+    return Promise.reject(new Error("No refresh token"));
+  }
+
+  isRefreshing = true;
+  // ใช้ axios ตรงๆ ไม่ผ่าน client จะได้ไม่วนเข้า interceptor ซ้ำ
+  return axios
+    .post(Configs.api.baseApiUrl + Configs.api.auth.refresh, { refreshToken })
+    .then(({ data }) => {
+      localStorage.setItem(Configs.storage.token, data.token);
+      localStorage.setItem(Configs.storage.refreshToken, data.refreshToken);
+      flushQueue(null, data.token);
+      return data.token;
+    })
+    .catch((refreshError) => {
+      flushQueue(refreshError, null);
+      // refresh ไม่ผ่าน = session หมดจริง ให้ AuthContext เคลียร์ user ออก
+      window.dispatchEvent(new Event("auth:expired"));
+      throw refreshError;
+    })
+    .finally(() => {
+      isRefreshing = false;
+    });
+};
+
+// 429 = ส่งถี่เกินหรือบัญชีถูกล็อก แจ้งทั้งแอปผ่าน event ให้ RateLimitNotice บอกว่าต้องรออีกนานเท่าไร
+// retryAfter (วินาที) มีทั้งใน body และ header Retry-After
+const notifyRateLimited = (error) => {
+  const { data, headers } = error.response;
+  window.dispatchEvent(
+    new CustomEvent("api:rate-limited", {
+      detail: {
+        message: data?.message,
+        retryAfter: Number(data?.retryAfter || headers["retry-after"]) || null,
+      },
+    })
+  );
+};
+
+client.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    if (error.response?.status === 429) {
+      notifyRateLimited(error);
+      return Promise.reject(error);
+    }
+
+    // บัญชีถูกระงับระหว่างที่ยัง login อยู่ refresh ไปก็ไม่ผ่าน ให้ AuthContext logout เลย
+    if (
+      error.response?.data?.code === "ACCOUNT_SUSPENDED" &&
+      original &&
+      !skipRefresh(original.url)
+    ) {
+      window.dispatchEvent(new Event("auth:expired"));
+      return Promise.reject(error);
+    }
+
+    if (
+      !original ||
+      original._retry ||
+      !isAuthError(error) ||
+      skipRefresh(original.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    if (!localStorage.getItem(Configs.storage.refreshToken)) {
+      window.dispatchEvent(new Event("auth:expired"));
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+    const token = await refreshSession();
+    original.headers.Authorization = `Bearer ${token}`;
+    return client(original);
+  }
+);
+
+export default client;
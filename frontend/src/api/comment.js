@@ -0,0 +1,25 @@
+import client from "./client"
+import Configs from "../config"
+
+export const addCommentApi = async (postId, text, parentId) => {
+  const response = await client.post(Configs.api.post.comment + postId + "/comment", {
+    text,
+    parentId,
+  })
+  return response.data
+}
+
+export const updateCommentApi = async (postId, commentId, text) => {
+  const response = await client.put(
+    Configs.api.post.comment + postId + "/comment/" + commentId,
+    { text }
+  )
+  return response.data
+}
+
+export const deleteCommentApi = async (postId, commentId) => {
+  const response = await client.delete(
+    Configs.api.post.comment + postId + "/comment/" + commentId
+  )
+  return response.data
+}
@@ -0,0 +1,7 @@
+// backend ตอบ error เป็น { code, message, fields } เสมอ
+// fields มีเฉพาะตอน validation ไม่ผ่าน เป็น { ชื่อ field: ข้อความ } ใช้แสดงใต้ input ได้เลย
+
+export const getErrorMessage = (error, fallback = "Something went wrong") =>
+  error.response?.data?.message || fallback
+
+export const getFieldErrors = (error) => error.response?.data?.fields || {}
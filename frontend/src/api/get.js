@@ -1,7 +1,22 @@
 import client from "./client"
 import Configs from "../config"
 
-export const getPostsApi = async () => {
-  const response = await client.get(Configs.api.get.post)
+export const getPostsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.get.post, { params })
   return response.data
-}
\ No newline at end of file
+}
+
+export const searchPostsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.get.search, { params })
+  return response.data
+}
+
+export const getTagsApi = async () => {
+  const response = await client.get(Configs.api.get.tags)
+  return response.data
+}
+
+export const getFollowingFeedApi = async (params = {}) => {
+  const response = await client.get(Configs.api.get.followingFeed, { params })
+  return response.data
+}
@@ -0,0 +1,43 @@
+import client from "./client"
+import Configs from "../config"
+
+export const getConversationsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.messages.conversations, { params })
+  return response.data
+}
+
+// เริ่มคุยกับ recipient (หรือส่งต่อในห้องเดิมถ้ามีอยู่แล้ว) post = โพสต์ที่ทักมาถาม
+export const startConversationApi = async (recipient, text, post) => {
+  const response = await client.post(Configs.api.messages.conversations, {
+    recipient,
+    text,
+    post: post || undefined,
+  })
+  return response.data
+}
+
+export const getMessagesApi = async (conversationId, params = {}) => {
+  const response = await client.get(
+    Configs.api.messages.conversation + conversationId + "/messages",
+    { params }
+  )
+  return response.data
+}
+
+export const sendMessageApi = async (conversationId, text) => {
+  const response = await client.post(
+    Configs.api.messages.conversation + conversationId + "/messages",
+    { text }
+  )
+  return response.data
+}
+
+export const markConversationReadApi = async (conversationId) => {
+  const response = await client.post(Configs.api.messages.conversation + conversationId + "/read")
+  return response.data
+}
+
+export const getUnreadMessageCountApi = async () => {
+  const response = await client.get(Configs.api.messages.unreadCount)
+  return response.data
+}
@@ -0,0 +1,18 @@
+import client from "./client"
+import Configs from "../config"
+
+export const getNotificationsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.notifications.list, { params })
+  return response.data
+}
+
+export const getUnreadCountApi = async () => {
+  const response = await client.get(Configs.api.notifications.unreadCount)
+  return response.data
+}
+
+// ไม่ส่ง ids = อ่านทั้งหมด
+export const markNotificationsReadApi = async (ids) => {
+  const response = await client.post(Configs.api.notifications.read, { ids })
+  return response.data
+}
@@ -1,6 +1,36 @@
 import client from "./client";
+import Configs from "../config";
 
-export const getMyPostsApi = async () => {
-  const response = await client.get("/mypost");
+export const getMyPostsApi = async (params = {}) => {
+  const response = await client.get("/mypost", { params });
+  return response.data;
+};
+
+// แก้โพสต์แบบไม่มีไฟล์ เช่นเปลี่ยน status / publishAt / expiresAt
+export const updatePostApi = async (postId, updates) => {
+  const response = await client.put(Configs.api.put.updatePost + postId, updates);
+  return response.data;
+};
+
+// สร้าง / แก้โพสต์พร้อมรูป (multipart) postId = null คือสร้างใหม่
+export const submitPostFormApi = async (postId, formData) => {
+  const config = { headers: { "Content-Type": "multipart/form-data" } };
+  const response = postId
+    ? await client.put(Configs.api.put.updatePost + postId, formData, config)
+    : await client.post(Configs.api.post.newPost, formData, config);
+  return response.data;
+};
+
+// ประวัติการแก้ไขโพสต์ ใหม่สุดก่อน
+export const getRevisionsApi = async (postId, params = {}) => {
+  const response = await client.get(Configs.api.revisions.post + postId + "/revisions", { params });
+  return response.data;
+};
+
+// ย้อนโพสต์กลับไปเป็นแบบหลัง revision นั้น
+export const revertRevisionApi = async (postId, revisionId) => {
+  const response = await client.post(
+    Configs.api.revisions.post + postId + "/revisions/" + revisionId + "/revert"
+  );
   return response.data;
 };
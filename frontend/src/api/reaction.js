@@ -0,0 +1,18 @@
+import client from "./client"
+import Configs from "../config"
+
+// ตั้ง / เปลี่ยน reaction ของเรา คืน { reaction, likeCount, reactionCounts }
+export const reactApi = async (postId, type) => {
+  const response = await client.put(Configs.api.post.reaction + postId + "/reaction", { type })
+  return response.data
+}
+
+export const removeReactionApi = async (postId) => {
+  const response = await client.delete(Configs.api.post.reaction + postId + "/reaction")
+  return response.data
+}
+
+export const getReactionsApi = async (postId, params = {}) => {
+  const response = await client.get(Configs.api.post.reaction + postId + "/reactions", { params })
+  return response.data
+}
@@ -0,0 +1,18 @@
+import client from "./client"
+import Configs from "../config"
+
+export const reportPostApi = async (postId, reason, details) => {
+  const response = await client.post(Configs.api.post.report + postId + "/report", {
+    reason,
+    details,
+  })
+  return response.data
+}
+
+export const reportCommentApi = async (postId, commentId, reason, details) => {
+  const response = await client.post(
+    Configs.api.post.report + postId + "/comment/" + commentId + "/report",
+    { reason, details }
+  )
+  return response.data
+}
@@ -0,0 +1,40 @@
+import client from "./client"
+import Configs from "../config"
+
+// collection = id ของ collection ที่จะเก็บไว้ (ไม่ส่ง = ไม่จัดกลุ่ม)
+export const savePostApi = async (postId, collection) => {
+  const response = await client.post(Configs.api.saved.post + postId + "/save", {
+    collection: collection || undefined,
+  })
+  return response.data
+}
+
+export const unsavePostApi = async (postId) => {
+  const response = await client.delete(Configs.api.saved.post + postId + "/save")
+  return response.data
+}
+
+export const getSavedPostsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.saved.list, { params })
+  return response.data
+}
+
+export const getCollectionsApi = async () => {
+  const response = await client.get(Configs.api.saved.collections)
+  return response.data
+}
+
+export const createCollectionApi = async (name) => {
+  const response = await client.post(Configs.api.saved.collections, { name })
+  return response.data
+}
+
+export const renameCollectionApi = async (collectionId, name) => {
+  const response = await client.put(Configs.api.saved.collection + collectionId, { name })
+  return response.data
+}
+
+export const deleteCollectionApi = async (collectionId) => {
+  const response = await client.delete(Configs.api.saved.collection + collectionId)
+  return response.data
+}
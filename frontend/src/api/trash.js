@@ -0,0 +1,24 @@
+import client from "./client"
+import Configs from "../config"
+
+export const getTrashApi = async (params = {}) => {
+  const response = await client.get(Configs.api.trash.posts, { params })
+  return response.data
+}
+
+export const getTrashedCommentsApi = async (params = {}) => {
+  const response = await client.get(Configs.api.trash.comments, { params })
+  return response.data
+}
+
+export const restorePostApi = async (postId) => {
+  const response = await client.post(Configs.api.trash.post + postId + "/restore")
+  return response.data
+}
+
+export const restoreCommentApi = async (postId, commentId) => {
+  const response = await client.post(
+    Configs.api.trash.post + postId + "/comment/" + commentId + "/restore"
+  )
+  return response.data
+}
@@ -0,0 +1,22 @@
+import client from "./client"
+import Configs from "../config"
+
+export const getUserApi = async (userId) => {
+  const response = await client.get(Configs.api.get.user + userId)
+  return response.data
+}
+
+export const getUserPostsApi = async (userId, params = {}) => {
+  const response = await client.get(Configs.api.get.user + userId + "/posts", { params })
+  return response.data
+}
+
+export const followUserApi = async (userId) => {
+  const response = await client.post(Configs.api.get.user + userId + "/follow")
+  return response.data
+}
+
+export const unfollowUserApi = async (userId) => {
+  const response = await client.delete(Configs.api.get.user + userId + "/follow")
+  return response.data
+}
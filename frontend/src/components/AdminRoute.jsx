@@ -0,0 +1,11 @@
+import { Navigate, Outlet } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+
+export default function AdminRoute() {
+  const { user } = useAuth()
+
+  if (!user) return <Navigate to="/login" />
+  if (user.role !== "admin") return <Navigate to="/" />
+
+  return <Outlet />
+}
@@ -0,0 +1,176 @@
+import { useState } from "react"
+import { Flag, Reply, Pencil, Trash2 } from "lucide-react"
+import { getErrorMessage, getFieldErrors } from "../api/errors"
+
+// backend ตัดความลึกไว้ที่ 3 ชั้น ฝั่งนี้แค่เยื้องตามโครงสร้างที่ได้มา
+const buildTree = (comments) => {
+  const ids = new Set(comments.map((c) => c._id))
+  const children = new Map()
+
+  comments.forEach((comment) => {
+    // parent ที่ถูกซ่อน/ลบไปแล้วจะไม่มีใน list ให้แสดงเป็นคอมเมนต์บนสุดแทน
+    const parent = comment.parent && ids.has(comment.parent) ? comment.parent : null
+    if (!children.has(parent)) children.set(parent, [])
+    children.get(parent).push(comment)
+  })
+
+  return children
+}
+
+// requireLogin(action, fn) = เรียก fn ถ้า login อยู่ ไม่งั้นให้หน้าแม่ถามให้ login ก่อน (ค่าเริ่มต้นเรียก fn เลย)
+const runNow = (action, fn) => fn()
+
+export default function CommentThread({ comments, userId, isAdmin, onReply, onEdit, onDelete, onReport, requireLogin = runNow }) {
+  const children = buildTree(comments)
+
+  return (
+    <div className="space-y-6">
+      {(children.get(null) || []).map((comment) => (
+        <CommentItem
+          key={comment._id}
+          comment={comment}
+          childrenMap={children}
+          userId={userId}
+          isAdmin={isAdmin}
+          onReply={onReply}
+          onEdit={onEdit}
+          onDelete={onDelete}
+          onReport={onReport}
+          requireLogin={requireLogin}
+        />
+      ))}
+    </div>
+  )
+}
+
+function CommentItem({ comment, childrenMap, userId, isAdmin, onReply, onEdit, onDelete, onReport, requireLogin }) {
+  const [mode, setMode] = useState(null) // null | "reply" | "edit"
+  const [text, setText] = useState("")
+  const [error, setError] = useState(null)
+
+  const isOwner = comment.owner?._id === userId
+  const replies = childrenMap.get(comment._id) || []
+
+  const openEditor = (nextMode) => {
+    setMode(nextMode)
+    setText(nextMode === "edit" ? comment.text : "")
+    setError(null)
+  }
+
+  const handleSubmit = async () => {
+    if (!text.trim()) return
+    try {
+      if (mode === "edit") {
+        await onEdit(comment._id, text.trim())
+      } else {
+        await onReply(comment._id, text.trim())
+      }
+      setMode(null)
+      setText("")
+    } catch (err) {
+      console.error(err.response?.data || err)
+      setError(getFieldErrors(err).text || getErrorMessage(err, "Save failed"))
+    }
+  }
+
+  return (
+    <div>
+      <div className="bg-white p-6 rounded-lg border shadow">
+        <div className="flex justify-between mb-3">
+          <div className="flex items-center gap-3">
+            <div className="w-6 h-6 bg-gray-400 rounded-full" />
+            <span className="font-medium text-gray-800">
+              {comment.deleted ? "[deleted]" : comment.owner?.fullname}
+            </span>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <span className="text-gray-500 text-sm">
+              {new Date(comment.created_at).toLocaleDateString()}
+              {comment.updated_at && !comment.deleted && " (edited)"}
+            </span>
+            {!comment.deleted && (
+              <>
+                <Reply
+                  size={16}
+                  onClick={() => requireLogin("reply", () => openEditor("reply"))}
+                  className="cursor-pointer text-gray-500 hover:text-teal-600 transition"
+                />
+                {isOwner && (
+                  <Pencil
+                    size={16}
+                    onClick={() => openEditor("edit")}
+                    className="cursor-pointer text-gray-500 hover:text-teal-600 transition"
+                  />
+                )}
+                {!isOwner && (
+                  <Flag
+                    size={16}
+                    onClick={() => requireLogin("report this comment", () => onReport(comment._id))}
+                    className="cursor-pointer text-gray-500 hover:text-red-500 transition"
+                  />
+                )}
+                {(isOwner || isAdmin) && (
+                  <Trash2
+                    size={16}
+                    onClick={() => onDelete(comment._id)}
+                    className="cursor-pointer text-gray-500 hover:text-red-500 transition"
+                  />
+                )}
+              </>
+            )}
+          </div>
+        </div>
+        <p className={`text-sm leading-relaxed ${comment.deleted ? "text-gray-400 italic" : "text-gray-700"}`}>
+          {comment.text}
+        </p>
+
+        {mode && (
+          <div className="mt-4">
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              className="w-full border rounded p-2 mb-2 text-sm"
+              rows="3"
+              placeholder={mode === "edit" ? "Edit your comment..." : "Write your reply..."}
+            />
+            {error && <p className="text-red-500 text-xs mb-2">{error}</p>}
+            <div className="flex justify-end gap-3">
+              <button
+                onClick={() => setMode(null)}
+                className="px-3 py-1 bg-gray-300 rounded hover:bg-gray-400 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSubmit}
+                className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700 text-sm"
+              >
+                {mode === "edit" ? "Save" : "Reply"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {replies.length > 0 && (
+        <div className="ml-8 mt-4 space-y-4 border-l-2 border-gray-200 pl-4">
+          {replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              childrenMap={childrenMap}
+              userId={userId}
+              isAdmin={isAdmin}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReport={onReport}
+              requireLogin={requireLogin}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -4,17 +4,19 @@ import { useState } from "react"
 import { IoPersonOutline, IoLogOutOutline, IoSearchOutline } from "react-icons/io5"
 import { textStyles } from "../style/text"
 import Logo from "../assets/image/logo.png"
+import NotificationBell from "./NotificationBell"
+import MessagesLink from "./MessagesLink"
 
 export default function Header() {
   const navigate = useNavigate()
   const location = useLocation()
-  const { logout } = useAuth()
+  const { user, logout } = useAuth()
   const [keyword, setKeyword] = useState("")
 
   const handleSearch = (e) => {
     e.preventDefault()
     if (!keyword.trim()) return
-    navigate(`/search?q=${keyword}`)
+    navigate(`/search?q=${encodeURIComponent(keyword.trim())}`)
   }
 
   const isActive = (path) => location.pathname === path
@@ -35,41 +37,62 @@ export default function Header() {
             >
               Home
             </button>
-            <button
-              onClick={() => navigate("/post")}
-              className={menuClass("/post")}
-            >
-              My post
-            </button>
+            {user && (
+              <button
+                onClick={() => navigate("/post")}
+                className={menuClass("/post")}
+              >
+                My post
+              </button>
+            )}
             <button
               onClick={() => navigate("/contact")}
               className={menuClass("/contact")}
             >
               Contact us
             </button>
+            {user?.role === "admin" && (
+              <button
+                onClick={() => navigate("/admin")}
+                className={menuClass("/admin")}
+              >
+                Admin
+              </button>
+            )}
           </div>
-          <div className="flex items-center gap-4">
+          {user ? (
+            <div className="flex items-center gap-4">
+              <MessagesLink />
+              <NotificationBell />
+              <button
+                onClick={() => navigate("/profile")}
+                className={`transition ${
+                  isActive("/profile")
+                    ? "text-primary"
+                    : "text-secondary hover:text-primary"
+                }`}
+              >
+                <IoPersonOutline size={22} />
+              </button>
+              <button
+                onClick={() => {
+                  logout()
+                  // console.log("logout success : ", logout)
+                  navigate("/login")
+                }}
+                className="text-secondary hover:text-red-500 transition"
+              >
+                <IoLogOutOutline size={24} />
+              </button>
+            </div>
+          ) : (
             <button
-              onClick={() => navigate("/profile")}
-              className={`transition ${
-                isActive("/profile")
-                  ? "text-primary"
-                  : "text-secondary hover:text-primary"
-              }`}
+              onClick={() => navigate("/login", { state: { from: location } })}
+              className="bg-primary hover:bg-teal-600 text-white px-4 py-1.5 rounded-lg font-semibold transition"
             >
-              <IoPersonOutline size={22} />
+              Log in
             </button>
-            <button
-              onClick={() => {
-                logout()
-                // console.log("logout success : ", logout)
-                navigate("/login")
-              }}
-              className="text-secondary hover:text-red-500 transition"
-            >
-              <IoLogOutOutline size={24} />
-            </button>
-          </div>
+          )}
         </div>
 
         <form onSubmit={handleSearch} className="mt-3 relative">
@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from "react"
+import { ChevronLeft, ChevronRight, X } from "lucide-react"
+import { imageSrcSet, imageVariantUrl } from "../utils/image"
+
+// ปัดเกินกี่ px ถึงนับว่าเป็นการเปลี่ยนรูป
+const SWIPE_THRESHOLD = 50
+
+// แกลเลอรีรูปของโพสต์ ปัดซ้าย/ขวาหรือกดลูกศรเพื่อเปลี่ยนรูป กดที่รูปเพื่อเปิด lightbox
+// images = [{ _id, url, variants, caption, alt }] ตามลำดับที่เจ้าของโพสต์เรียงไว้
+export default function ImageGallery({ images, className = "" }) {
+  const [index, setIndex] = useState(0)
+  const [lightboxOpen, setLightboxOpen] = useState(false)
+  const touchStartX = useRef(null)
+
+  const count = images.length
+  // แกลเลอรีถูกแก้ระหว่างเปิดดูอยู่ อย่าให้ index เกินจำนวนรูป
+  const current = Math.min(index, count - 1)
+  const image = images[current]
+
+  const go = (step) => setIndex((i) => (Math.min(i, count - 1) + step + count) % count)
+
+  const swipeHandlers = {
+    onTouchStart: (e) => {
+      touchStartX.current = e.touches[0].clientX
+    },
+    onTouchEnd: (e) => {
+      if (touchStartX.current === null) return
+      const dx = e.changedTouches[0].clientX - touchStartX.current
+      touchStartX.current = null
+      if (count > 1 && Math.abs(dx) > SWIPE_THRESHOLD) go(dx < 0 ? 1 : -1)
+    },
+  }
+
+  useEffect(() => {
+    if (!lightboxOpen) return
+
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setLightboxOpen(false)
+      if (e.key === "ArrowRight") setIndex((i) => (Math.min(i, count - 1) + 1) % count)
+      if (e.key === "ArrowLeft") setIndex((i) => (Math.min(i, count - 1) - 1 + count) % count)
+    }
+    window.addEventListener("keydown", onKeyDown)
+    return () => window.removeEventListener("keydown", onKeyDown)
+  }, [lightboxOpen, count])
+
+  if (count === 0) return null
+
+  const arrows = (buttonClass) =>
+    count > 1 && (
+      <>
+        <button
+          onClick={(e) => {
+            e.stopPropagation()
+            go(-1)
+          }}
+          aria-label="Previous image"
+          className={`absolute left-2 top-1/2 -translate-y-1/2 rounded-full p-1 ${buttonClass}`}
+        >
+          <ChevronLeft size={20} />
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation()
+            go(1)
+          }}
+          aria-label="Next image"
+          className={`absolute right-2 top-1/2 -translate-y-1/2 rounded-full p-1 ${buttonClass}`}
+        >
+          <ChevronRight size={20} />
+        </button>
+      </>
+    )
+
+  return (
+    <div className={className}>
+      <div className="relative select-none" {...swipeHandlers}>
+        <img
+          src={image.url}
+          srcSet={imageSrcSet(image)}
+          sizes="(min-width: 1024px) 66vw, 100vw"
+          alt={image.alt || image.caption || ""}
+          onClick={() => setLightboxOpen(true)}
+          className="h-[35vh] w-full object-cover rounded cursor-zoom-in"
+        />
+        {arrows("bg-black/40 hover:bg-black/60 text-white")}
+        {count > 1 && (
+          <span className="absolute top-2 right-2 bg-black/60 text-white text-xs px-2 py-0.5 rounded">
+            {current + 1} / {count}
+          </span>
+        )}
+      </div>
+
+      {image.caption && (
+        <p className="text-sm text-gray-600 mt-2">{image.caption}</p>
+      )}
+
+      {count > 1 && (
+        <div className="flex gap-2 mt-3 overflow-x-auto">
+          {images.map((img, i) => (
+            <button
+              key={img._id || img.url}
+              onClick={() => setIndex(i)}
+              aria-label={`Show image ${i + 1}`}
+              className={`w-14 h-14 shrink-0 rounded overflow-hidden border-2 ${
+                i === current ? "border-teal-600" : "border-transparent"
+              }`}
+            >
+              <img src={imageVariantUrl(img, "thumb")} alt={img.alt} className="w-full h-full object-cover" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {lightboxOpen && (
+        <div
+          onClick={() => setLightboxOpen(false)}
+          className="fixed inset-0 z-50 bg-black/90 flex flex-col items-center justify-center select-none"
+          {...swipeHandlers}
+        >
+          <button
+            onClick={() => setLightboxOpen(false)}
+            aria-label="Close"
+            className="absolute top-4 right-4 text-white"
+          >
+            <X size={28} />
+          </button>
+
+          <img
+            src={image.url}
+            alt={image.alt || image.caption || ""}
+            onClick={(e) => e.stopPropagation()}
+            className="max-w-[90vw] max-h-[80vh] object-contain"
+          />
+          {image.caption && (
+            <p className="text-white mt-4 px-6 text-center">{image.caption}</p>
+          )}
+          {count > 1 && (
+            <p className="text-gray-400 text-sm mt-2">
+              {current + 1} / {count}
+            </p>
+          )}
+          {arrows("bg-white/20 hover:bg-white/30 text-white")}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import { useLocation, useNavigate } from "react-router-dom"
+
+// ถามให้ login ก่อนทำสิ่งที่สมาชิกเท่านั้นทำได้ (like / คอมเมนต์ / รายงาน) login เสร็จแล้วกลับมาหน้าเดิม
+// action = ข้อความต่อท้าย "Log in to ..." เช่น "like this post"
+export default function LoginPrompt({ action, onClose }) {
+  const navigate = useNavigate()
+  const location = useLocation()
+
+  return (
+    <div
+      onClick={onClose}
+      className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50"
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded-lg w-[360px] shadow-lg"
+      >
+        <h3 className="text-lg text-gray-800 font-semibold mb-2">Log in to {action}</h3>
+        <p className="text-sm text-gray-600 mb-5">
+          You need a Baanboard account for this. Log in, or register if you are new here.
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+          >
+            Not now
+          </button>
+          <button
+            onClick={() => navigate("/login", { state: { from: location } })}
+            className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700"
+          >
+            Log in
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
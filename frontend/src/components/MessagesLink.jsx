@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from "react"
+import { useLocation, useNavigate } from "react-router-dom"
+import { IoChatbubbleEllipsesOutline } from "react-icons/io5"
+import { getUnreadMessageCountApi } from "../api/message"
+import useEventStream from "../hooks/useEventStream"
+
+const POLL_INTERVAL = 30000
+
+// ไอคอนข้อความบน Header พร้อมจำนวนข้อความที่ยังไม่อ่าน
+// หน้า Messages ส่ง event "messages:unread" มาเมื่ออ่านแล้ว ตัวเลขจะได้ลดทันทีไม่ต้องรอ poll
+export default function MessagesLink() {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [unreadCount, setUnreadCount] = useState(0)
+
+  const fetchCount = useCallback(
+    () =>
+      getUnreadMessageCountApi()
+        .then((data) => setUnreadCount(data.unreadCount))
+        .catch((err) => console.error("Fetch unread messages error:", err)),
+    []
+  )
+
+  useEffect(() => {
+    fetchCount()
+    const timer = setInterval(fetchCount, POLL_INTERVAL)
+
+    const handleUnread = (e) => setUnreadCount(e.detail.unreadCount)
+    window.addEventListener("messages:unread", handleUnread)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener("messages:unread", handleUnread)
+    }
+  }, [fetchCount])
+
+  useEventStream(["inbox"], {
+    "message:new": () => fetchCount(),
+  })
+
+  const active = location.pathname.startsWith("/messages")
+
+  return (
+    <button
+      onClick={() => navigate("/messages")}
+      aria-label="Messages"
+      className={`relative transition ${
+        active ? "text-primary" : "text-secondary hover:text-primary"
+      }`}
+    >
+      <IoChatbubbleEllipsesOutline size={22} />
+      {unreadCount > 0 && (
+        <span className="absolute -top-1 -right-2 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] rounded-full flex items-center justify-center">
+          {unreadCount > 99 ? "99+" : unreadCount}
+        </span>
+      )}
+    </button>
+  )
+}
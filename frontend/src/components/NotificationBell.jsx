@@ -0,0 +1,156 @@
+import { useEffect, useRef, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { IoNotificationsOutline } from "react-icons/io5"
+import {
+  getNotificationsApi,
+  getUnreadCountApi,
+  markNotificationsReadApi,
+} from "../api/notification"
+
+const POLL_INTERVAL = 30000
+
+const ACTIONS = {
+  like: "reacted to your post",
+  comment: "commented on your post",
+  reply: "replied to your comment",
+}
+
+// "Alice", "Alice and Bob", "Alice and 4 others"
+const formatActors = (actors, actorCount) => {
+  const first = actors[0]?.fullname || "Someone"
+  if (actorCount <= 1) return first
+  if (actorCount === 2 && actors[1]) return `${first} and ${actors[1].fullname}`
+  return `${first} and ${actorCount - 1} others`
+}
+
+export default function NotificationBell() {
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [notifications, setNotifications] = useState([])
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    const fetchCount = () =>
+      getUnreadCountApi()
+        .then((data) => setUnreadCount(data.unreadCount))
+        .catch((err) => console.error("Fetch unread count error:", err))
+
+    fetchCount()
+    const timer = setInterval(fetchCount, POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [])
+
+  // ปิด dropdown เมื่อคลิกข้างนอก
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener("mousedown", handleClick)
+    return () => document.removeEventListener("mousedown", handleClick)
+  }, [open])
+
+  const handleToggle = async () => {
+    const next = !open
+    setOpen(next)
+    if (!next) return
+    try {
+      const data = await getNotificationsApi()
+      setNotifications(data.items)
+      setUnreadCount(data.unreadCount)
+    } catch (err) {
+      console.error("Fetch notifications error:", err)
+    }
+  }
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false)
+    if (!notification.read) {
+      try {
+        const data = await markNotificationsReadApi([notification._id])
+        setUnreadCount(data.unreadCount)
+        setNotifications((prev) =>
+          prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n))
+        )
+      } catch (err) {
+        console.error(err)
+      }
+    }
+    if (notification.post) navigate(`/postdetail/${notification.post._id}`)
+  }
+
+  const handleReadAll = async () => {
+    try {
+      const data = await markNotificationsReadApi()
+      setUnreadCount(data.unreadCount)
+      setNotifications((prev) => prev.map((n) => ({ ...n, read: true })))
+    } catch (err) {
+      console.error(err)
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={handleToggle}
+        className={`relative transition ${
+          open ? "text-primary" : "text-secondary hover:text-primary"
+        }`}
+      >
+        <IoNotificationsOutline size={22} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-2 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-3 w-80 bg-white rounded-lg shadow-lg border z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <span className="font-semibold text-gray-800">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleReadAll}
+                className="text-xs text-teal-600 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 && (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">
+                No notifications yet
+              </p>
+            )}
+            {notifications.map((n) => (
+              <div
+                key={n._id}
+                onClick={() => handleOpenNotification(n)}
+                className={`px-4 py-3 text-sm cursor-pointer hover:bg-gray-50 border-b last:border-b-0 ${
+                  n.read ? "text-gray-500" : "text-gray-800 bg-teal-50"
+                }`}
+              >
+                <p>
+                  <span className="font-semibold">
+                    {formatActors(n.actors, n.actorCount)}
+                  </span>{" "}
+                  {ACTIONS[n.type]}
+                  {n.post && (
+                    <span className="text-teal-600"> “{n.post.title}”</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400 mt-1">
+                  {new Date(n.updated_at).toLocaleString()}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
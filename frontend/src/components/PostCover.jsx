@@ -0,0 +1,25 @@
+import { imageSrcSet } from "../utils/image"
+
+// รูปปกของโพสต์ ถ้ามีหลายรูปบอกจำนวนที่เหลือเป็น "+N" ที่มุมรูป
+// sizes = ความกว้างที่รูปแสดงจริง ให้ browser โหลดขนาดที่พอดีจาก srcset
+export default function PostCover({ post, className = "", sizes = "(min-width: 768px) 33vw, 100vw" }) {
+  const cover = post.images?.[0]
+  const extra = (post.images?.length || 0) - 1
+
+  return (
+    <div className={`relative shrink-0 ${className}`}>
+      <img
+        src={post.image}
+        srcSet={imageSrcSet(cover)}
+        sizes={sizes}
+        alt={cover?.alt || post.title}
+        className="w-full h-full object-cover rounded"
+      />
+      {extra > 0 && (
+        <span className="absolute bottom-2 right-2 bg-black/60 text-white text-xs font-semibold px-2 py-0.5 rounded">
+          +{extra}
+        </span>
+      )}
+    </div>
+  )
+}
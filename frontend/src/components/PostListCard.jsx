@@ -0,0 +1,64 @@
+import { useNavigate } from "react-router-dom"
+import { ThumbsUp, MessageSquare } from "lucide-react"
+import TagChip from "./TagChip"
+import PostCover from "./PostCover"
+
+export default function PostListCard({ post }) {
+  const navigate = useNavigate()
+
+  return (
+    <div
+      onClick={() => navigate(`/postdetail/${post._id}`)}
+      className="bg-white rounded shadow p-4 flex gap-6 cursor-pointer hover:shadow-md transition"
+    >
+      <PostCover post={post} className="w-1/4 h-60" sizes="25vw" />
+      <div className="flex-1">
+        <div className="flex justify-between">
+          <h3 className="text-teal-600 font-semibold mb-2">
+            {post.title}
+          </h3>
+          <p className="text-sm text-gray-600">
+            {post.owner?._id ? (
+              <span
+                onClick={(e) => {
+                  e.stopPropagation()
+                  navigate(`/user/${post.owner._id}`)
+                }}
+                className="hover:underline"
+              >
+                {post.owner.fullname}
+              </span>
+            ) : (
+              post.owner?.fullname
+            )}{" "}
+            |{" "}
+            {new Date(post.created_at).toLocaleDateString()}
+          </p>
+        </div>
+
+        <p className="text-gray-600 mb-3">
+          {post.content}
+        </p>
+
+        <div className="flex gap-2 mb-3 flex-wrap">
+          {post.tags?.map((tag) => (
+            <TagChip key={tag} name={tag} />
+          ))}
+        </div>
+
+        <div className="flex justify-between text-sm text-gray-600">
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-1">
+              <ThumbsUp size={16} />
+              {post.likeCount}
+            </div>
+            <div className="flex items-center gap-1">
+              <MessageSquare size={16} />
+              {post.commentCount}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,10 +1,12 @@
-import { Navigate, Outlet } from "react-router-dom"
+import { Navigate, Outlet, useLocation } from "react-router-dom"
 import { useAuth } from "../context/AuthContext"
 
 export default function ProtectedRoute() {
   const { user } = useAuth()
+  const location = useLocation()
 
-  if (!user) return <Navigate to="/login" />
+  // จำหน้าที่จะเข้าไว้ login เสร็จแล้วพากลับมา
+  if (!user) return <Navigate to="/login" state={{ from: location }} />
 
   return <Outlet />
 }
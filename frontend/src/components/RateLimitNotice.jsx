@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react"
+import { X } from "lucide-react"
+
+// ไม่มี retryAfter มาด้วยก็ยังโชว์ไว้สักพัก
+const DEFAULT_WAIT_SECONDS = 5
+
+const formatWait = (seconds) =>
+  seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`
+
+// แจ้งเตือนมุมจอเมื่อ server ตอบ 429 (client.js ส่ง event "api:rate-limited" มา) นับถอยหลังจนส่งใหม่ได้แล้วหายไปเอง
+export default function RateLimitNotice() {
+  const [notice, setNotice] = useState(null) // { message, until }
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const onRateLimited = (e) => {
+      const { message, retryAfter } = e.detail
+      setNow(Date.now())
+      setNotice({
+        message,
+        until: Date.now() + (retryAfter || DEFAULT_WAIT_SECONDS) * 1000,
+      })
+    }
+    window.addEventListener("api:rate-limited", onRateLimited)
+    return () => window.removeEventListener("api:rate-limited", onRateLimited)
+  }, [])
+
+  useEffect(() => {
+    if (!notice) return
+    const timer = setInterval(() => {
+      const current = Date.now()
+      setNow(current)
+      if (current >= notice.until) setNotice(null)
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [notice])
+
+  if (!notice) return null
+
+  const seconds = Math.max(0, Math.ceil((notice.until - now) / 1000))
+
+  return (
+    <div
+      role="alert"
+      className="fixed bottom-4 right-4 z-50 max-w-sm bg-red-600 text-white rounded-lg shadow-lg px-4 py-3 flex items-start gap-3"
+    >
+      <div className="text-sm">
+        <p className="font-semibold">{notice.message || "Too many requests"}</p>
+        {seconds > 0 && <p className="text-red-100">Try again in {formatWait(seconds)}.</p>}
+      </div>
+      <button onClick={() => setNotice(null)} aria-label="Dismiss" className="shrink-0">
+        <X size={16} />
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+import { useState } from "react"
+import { ThumbsUp } from "lucide-react"
+import Configs from "../config"
+
+const reactionInfo = (type) => Configs.reactions.find((r) => r.type === type)
+
+// ปุ่ม reaction: กดปุ่มหลัก = like / เอา reaction ที่มีอยู่ออก, ชี้ค้างไว้ = เลือกชนิดอื่น
+// summary ข้าง ๆ แสดงชนิดที่มีคนกดมากสุดและจำนวนรวม กดแล้วเรียก onShowBreakdown
+// onReact(type | null) = ตั้ง reaction (null = เอาออก)
+export default function ReactionPicker({ myReaction, counts = {}, total = 0, onReact, onShowBreakdown }) {
+  const [open, setOpen] = useState(false)
+  const mine = reactionInfo(myReaction)
+
+  const topReactions = Configs.reactions
+    .filter((r) => counts[r.type] > 0)
+    .sort((a, b) => counts[b.type] - counts[a.type])
+    .slice(0, 3)
+
+  const choose = (type) => {
+    setOpen(false)
+    onReact(type === myReaction ? null : type)
+  }
+
+  return (
+    <div className="flex items-center gap-3">
+      <div className="relative" onMouseEnter={() => setOpen(true)} onMouseLeave={() => setOpen(false)}>
+        {open && (
+          <div className="absolute bottom-full left-0 pb-2 z-10">
+            <div className="flex gap-1 bg-white border rounded-full shadow px-2 py-1">
+              {Configs.reactions.map((r) => (
+                <button
+                  key={r.type}
+                  onClick={() => choose(r.type)}
+                  title={r.label}
+                  className={`text-2xl leading-none p-1 rounded-full transition hover:scale-125 ${
+                    r.type === myReaction ? "bg-teal-50" : ""
+                  }`}
+                >
+                  {r.emoji}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={() => onReact(myReaction ? null : "like")}
+          className={`flex items-center gap-2 select-none transition ${
+            mine ? "text-teal-600 font-medium" : "text-gray-600 hover:text-teal-600"
+          }`}
+        >
+          {mine ? <span className="text-xl leading-none">{mine.emoji}</span> : <ThumbsUp size={22} />}
+          {mine ? mine.label : "Like"}
+        </button>
+      </div>
+
+      {total > 0 && (
+        <button onClick={onShowBreakdown} className="flex items-center gap-1 text-gray-600 hover:underline">
+          <span className="leading-none">{topReactions.map((r) => r.emoji).join("")}</span>
+          {total}
+        </button>
+      )}
+    </div>
+  )
+}
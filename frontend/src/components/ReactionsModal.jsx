@@ -0,0 +1,97 @@
+import { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import Configs from "../config"
+import { getReactionsApi } from "../api/reaction"
+import { getErrorMessage } from "../api/errors"
+
+const PAGE_LIMIT = 20
+
+// ใครกด reaction อะไรบ้าง แยกแท็บตามชนิด ("" = ทั้งหมด)
+export default function ReactionsModal({ postId, onClose }) {
+  const [type, setType] = useState("")
+  const [counts, setCounts] = useState({})
+  const [items, setItems] = useState([])
+  const [page, setPage] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let ignore = false
+    getReactionsApi(postId, { type: type || undefined, page, limit: PAGE_LIMIT })
+      .then((data) => {
+        if (ignore) return
+        setCounts(data.counts)
+        setItems((prev) => (page === 1 ? data.items : [...prev, ...data.items]))
+        setTotal(data.total)
+      })
+      .catch((err) => {
+        if (!ignore) setError(getErrorMessage(err, "Failed to load reactions"))
+      })
+    return () => {
+      ignore = true
+    }
+  }, [postId, type, page])
+
+  const selectType = (next) => {
+    setType(next)
+    setPage(1)
+    setItems([])
+  }
+
+  const allCount = Object.values(counts).reduce((sum, n) => sum + n, 0)
+  const tabs = [
+    { type: "", label: "All", count: allCount },
+    ...Configs.reactions
+      .filter((r) => counts[r.type] > 0)
+      .map((r) => ({ type: r.type, label: r.emoji, count: counts[r.type] })),
+  ]
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-[420px] max-h-[70vh] shadow-lg flex flex-col">
+        <div className="flex justify-between items-center px-6 pt-4 border-b">
+          <div className="flex gap-4">
+            {tabs.map((tab) => (
+              <button
+                key={tab.type || "all"}
+                onClick={() => selectType(tab.type)}
+                className={`pb-3 text-sm ${
+                  type === tab.type ? "text-primary border-b-2 border-primary font-medium" : "text-gray-500"
+                }`}
+              >
+                {tab.label} {tab.count}
+              </button>
+            ))}
+          </div>
+          <button onClick={onClose} className="pb-3 text-gray-500 hover:text-gray-800">
+            Close
+          </button>
+        </div>
+
+        <div className="overflow-y-auto px-6 py-3 space-y-3">
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+          {items.map((item) => (
+            <div key={item.user._id} className="flex items-center gap-3">
+              {item.user.profileImage ? (
+                <img src={item.user.profileImage} alt="" className="w-8 h-8 rounded-full object-cover" />
+              ) : (
+                <div className="w-8 h-8 rounded-full bg-gray-200" />
+              )}
+              <Link to={`/user/${item.user._id}`} className="flex-1 text-sm text-gray-800 hover:underline">
+                {item.user.fullname}
+              </Link>
+              <span className="text-lg">
+                {Configs.reactions.find((r) => r.type === item.type)?.emoji}
+              </span>
+            </div>
+          ))}
+          {items.length < total && (
+            <button onClick={() => setPage((p) => p + 1)} className="w-full text-sm text-teal-600 hover:underline">
+              Show more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
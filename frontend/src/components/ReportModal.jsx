@@ -0,0 +1,72 @@
+import { useState } from "react"
+import Configs from "../config"
+import { getErrorMessage } from "../api/errors"
+
+export default function ReportModal({ title, onSubmit, onClose }) {
+  const [reason, setReason] = useState(Configs.reportReasons[0].value)
+  const [details, setDetails] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true)
+      await onSubmit(reason, details.trim())
+      onClose()
+    } catch (err) {
+      console.error(err)
+      setError(getErrorMessage(err, "Report failed"))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-[400px] shadow-lg">
+        <h3 className="text-lg text-gray-800 font-semibold mb-4">{title}</h3>
+
+        <div className="space-y-2 mb-4">
+          {Configs.reportReasons.map((r) => (
+            <label key={r.value} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="reason"
+                value={r.value}
+                checked={reason === r.value}
+                onChange={() => setReason(r.value)}
+              />
+              {r.label}
+            </label>
+          ))}
+        </div>
+
+        <textarea
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          className="w-full border rounded p-2 mb-2"
+          rows="3"
+          placeholder="More details (optional)"
+        />
+
+        {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+
+        <div className="flex justify-end gap-3 mt-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={submitting}
+            className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+          >
+            Report
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,218 @@
+import { useEffect, useState } from "react"
+import { getRevisionsApi, revertRevisionApi } from "../api/post"
+import { getErrorMessage } from "../api/errors"
+import { diffWords } from "../utils/diff"
+import { imageVariantUrl } from "../utils/image"
+
+const FIELD_LABELS = {
+  title: "Title",
+  content: "Content",
+  tags: "Tags",
+  images: "Images",
+  visibility: "Visibility",
+}
+
+const KIND_LABELS = {
+  original: "Original version",
+  edit: "Edited",
+  revert: "Reverted",
+}
+
+// ประวัติการแก้ไขโพสต์: รายการ revision ทางซ้าย diff ของอันที่เลือกทางขวา
+// canRevert = เจ้าของโพสต์หรือ admin, onReverted ได้โพสต์หลังย้อนกลับ
+export default function RevisionHistory({ postId, canRevert, onReverted, onClose }) {
+  const [revisions, setRevisions] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const [error, setError] = useState(null)
+  const [reverting, setReverting] = useState(false)
+
+  useEffect(() => {
+    getRevisionsApi(postId)
+      .then((data) => {
+        setRevisions(data.items)
+        setNextCursor(data.nextCursor)
+        setSelectedId(data.items[0]?._id || null)
+      })
+      .catch((err) => setError(getErrorMessage(err, "Failed to load edit history")))
+  }, [postId])
+
+  const loadOlder = async () => {
+    try {
+      const data = await getRevisionsApi(postId, { cursor: nextCursor })
+      setRevisions((prev) => [...prev, ...data.items])
+      setNextCursor(data.nextCursor)
+    } catch (err) {
+      console.error("Fetch revisions error:", err)
+    }
+  }
+
+  const selected = revisions.find((r) => r._id === selectedId)
+  // revision ล่าสุดคือสิ่งที่โพสต์เป็นอยู่ตอนนี้ ย้อนไปไม่ได้
+  const isCurrent = selected && selected._id === revisions[0]?._id
+
+  const handleRevert = async () => {
+    if (!window.confirm("Restore the post to this version?")) return
+    try {
+      setReverting(true)
+      const post = await revertRevisionApi(postId, selected._id)
+      onReverted(post)
+      onClose()
+    } catch (err) {
+      console.error(err)
+      setError(getErrorMessage(err, "Revert failed"))
+      setReverting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-[900px] max-w-[95vw] h-[80vh] shadow-lg flex flex-col">
+        <div className="flex justify-between items-center px-6 py-4 border-b">
+          <h3 className="text-lg text-gray-800 font-semibold">Edit history</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800">
+            Close
+          </button>
+        </div>
+
+        {error && <p className="text-red-500 text-sm px-6 pt-3">{error}</p>}
+
+        <div className="flex flex-1 min-h-0">
+          <div className="w-1/3 border-r overflow-y-auto">
+            {revisions.map((revision) => (
+              <button
+                key={revision._id}
+                onClick={() => setSelectedId(revision._id)}
+                className={`w-full text-left px-4 py-3 border-b hover:bg-gray-50 ${
+                  revision._id === selectedId ? "bg-teal-50" : ""
+                }`}
+              >
+                <p className="text-sm font-medium text-gray-800">
+                  {KIND_LABELS[revision.kind]}
+                  {revision._id === revisions[0]._id && " (current)"}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {revision.editor?.fullname || "Deleted user"}
+                  {revision.editor?.role === "admin" && " (admin)"} ·{" "}
+                  {new Date(revision.created_at).toLocaleString()}
+                </p>
+                {revision.fields.length > 0 && (
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {revision.fields.map((f) => FIELD_LABELS[f] || f).join(", ")}
+                  </p>
+                )}
+              </button>
+            ))}
+            {nextCursor && (
+              <button onClick={loadOlder} className="w-full py-3 text-sm text-teal-600 hover:underline">
+                Load older edits
+              </button>
+            )}
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            {selected?.kind === "original" && (
+              <p className="text-sm text-gray-500">
+                The post as it was before its first recorded edit.
+              </p>
+            )}
+            {selected?.fields.map((field) => (
+              <div key={field}>
+                <h4 className="text-sm font-semibold text-gray-700 mb-2">{FIELD_LABELS[field] || field}</h4>
+                <FieldDiff field={field} before={selected.before[field]} after={selected.after[field]} />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {canRevert && selected && !isCurrent && (
+          <div className="flex justify-end px-6 py-4 border-t">
+            <button
+              onClick={handleRevert}
+              disabled={reverting}
+              className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+            >
+              Restore this version
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function FieldDiff({ field, before, after }) {
+  if (field === "title" || field === "content") {
+    return (
+      <p className="text-sm text-gray-700 whitespace-pre-wrap leading-relaxed">
+        {diffWords(before, after).map((part, i) => (
+          <span
+            key={i}
+            className={
+              part.type === "added"
+                ? "bg-green-100 text-green-800"
+                : part.type === "removed"
+                  ? "bg-red-100 text-red-700 line-through"
+                  : ""
+            }
+          >
+            {part.text}
+          </span>
+        ))}
+      </p>
+    )
+  }
+
+  if (field === "tags") {
+    const removed = (before || []).filter((t) => !(after || []).includes(t))
+    const added = (after || []).filter((t) => !(before || []).includes(t))
+    return (
+      <div className="flex gap-2 flex-wrap text-xs">
+        {removed.map((t) => (
+          <span key={`-${t}`} className="px-2 py-0.5 rounded bg-red-100 text-red-700 line-through">
+            {t}
+          </span>
+        ))}
+        {added.map((t) => (
+          <span key={`+${t}`} className="px-2 py-0.5 rounded bg-green-100 text-green-800">
+            {t}
+          </span>
+        ))}
+      </div>
+    )
+  }
+
+  if (field === "images") {
+    return (
+      <div className="space-y-2">
+        <ImageRow label="Before" images={before || []} />
+        <ImageRow label="After" images={after || []} />
+      </div>
+    )
+  }
+
+  return (
+    <p className="text-sm text-gray-700">
+      <span className="text-red-700 line-through">{String(before)}</span> →{" "}
+      <span className="text-green-800">{String(after)}</span>
+    </p>
+  )
+}
+
+function ImageRow({ label, images }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-12 text-xs text-gray-500">{label}</span>
+      {images.length === 0 && <span className="text-xs text-gray-400">No images</span>}
+      {images.map((image, i) => (
+        <img
+          key={`${image.url}-${i}`}
+          src={imageVariantUrl(image, "thumb")}
+          alt={image.alt || ""}
+          title={image.caption || undefined}
+          className="w-16 h-16 object-cover rounded"
+        />
+      ))}
+    </div>
+  )
+}
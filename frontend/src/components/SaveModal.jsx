@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react"
+import { getCollectionsApi, createCollectionApi, savePostApi, unsavePostApi } from "../api/saved"
+import { getErrorMessage, getFieldErrors } from "../api/errors"
+
+// เลือก collection ที่จะบันทึกโพสต์ไว้ (หรือไม่จัดกลุ่ม) สร้าง collection ใหม่ได้ในหน้าต่างเดียวกัน
+// current = { saved, collection } สถานะเดิม, onChange ได้สถานะใหม่หลังบันทึก/เลิกบันทึก
+export default function SaveModal({ postId, current, onChange, onClose }) {
+  const [collections, setCollections] = useState([])
+  const [selected, setSelected] = useState(current.collection || "")
+  const [newName, setNewName] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getCollectionsApi()
+      .then((data) => setCollections(data.collections))
+      .catch((err) => setError(getErrorMessage(err, "Failed to load collections")))
+  }, [])
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return
+    try {
+      setSubmitting(true)
+      const collection = await createCollectionApi(newName.trim())
+      setCollections((prev) => [...prev, collection])
+      setSelected(collection._id)
+      setNewName("")
+      setError(null)
+    } catch (err) {
+      setError(getFieldErrors(err).name || getErrorMessage(err, "Failed to create collection"))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const run = async (request) => {
+    try {
+      setSubmitting(true)
+      const data = await request()
+      onChange({ saved: data.saved, collection: data.collection })
+      onClose()
+    } catch (err) {
+      console.error(err)
+      setError(getErrorMessage(err, "Failed to save post"))
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg w-[400px] shadow-lg">
+        <h3 className="text-lg text-gray-800 font-semibold mb-4">Save to</h3>
+
+        <div className="space-y-2 mb-4 max-h-60 overflow-y-auto">
+          {[{ _id: "", name: "No collection" }, ...collections].map((c) => (
+            <label key={c._id || "none"} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="collection"
+                checked={selected === c._id}
+                onChange={() => setSelected(c._id)}
+              />
+              {c.name}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex gap-2 mb-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleCreate()}
+            maxLength={50}
+            className="flex-1 border rounded px-2 py-1 text-sm"
+            placeholder="New collection"
+          />
+          <button
+            onClick={handleCreate}
+            disabled={submitting || !newName.trim()}
+            className="px-3 py-1 text-sm border border-teal-600 text-teal-600 rounded hover:bg-teal-50 disabled:opacity-50"
+          >
+            Create
+          </button>
+        </div>
+
+        {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+
+        <div className="flex justify-between gap-3 mt-4">
+          {current.saved ? (
+            <button
+              onClick={() => run(() => unsavePostApi(postId))}
+              disabled={submitting}
+              className="px-4 py-2 text-red-500 hover:underline disabled:opacity-50"
+            >
+              Remove
+            </button>
+          ) : (
+            <span />
+          )}
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => run(() => savePostApi(postId, selected))}
+              disabled={submitting}
+              className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import { useNavigate } from "react-router-dom"
+import useTags from "../hooks/useTags"
+import { COLORS } from "../style/text"
+
+export default function TagChip({ name, className = "" }) {
+  const navigate = useNavigate()
+  const tags = useTags()
+  const tag = tags.find((t) => t.name === name)
+
+  return (
+    <span
+      onClick={(e) => {
+        e.stopPropagation()
+        navigate(`/tag/${encodeURIComponent(name)}`)
+      }}
+      style={{ backgroundColor: tag?.color || COLORS.GREEN }}
+      className={`px-3 py-1 text-white text-xs rounded-full cursor-pointer hover:opacity-80 ${className}`}
+    >
+      {tag?.displayName || name}
+    </span>
+  )
+}
@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react"
+import { Link } from "react-router-dom"
+import { getTrashedCommentsApi, restoreCommentApi } from "../api/trash"
+import { getErrorMessage } from "../api/errors"
+
+// คอมเมนต์ของเราที่ลบไปแล้ว (แสดงในแท็บ Trash ของหน้า My post)
+export default function TrashedComments() {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getTrashedCommentsApi({ limit: 50 })
+      .then((data) => setItems(data.items))
+      .catch((err) => setError(getErrorMessage(err, "Failed to load deleted comments")))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const handleRestore = async (item) => {
+    try {
+      await restoreCommentApi(item.post._id, item.comment._id)
+      setItems((prev) => prev.filter((i) => i.comment._id !== item.comment._id))
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Restore failed"))
+    }
+  }
+
+  return (
+    <div className="mt-10">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">Deleted comments</h2>
+
+      {error && <p className="text-red-500">{error}</p>}
+      {!loading && !error && items.length === 0 && (
+        <p className="text-gray-500">No deleted comments</p>
+      )}
+
+      <div className="space-y-3">
+        {items.map((item) => (
+          <div key={item.comment._id} className="bg-white rounded-lg shadow p-4 flex justify-between gap-6">
+            <div className="flex-1 min-w-0">
+              <Link to={`/postdetail/${item.post._id}`} className="text-sm text-teal-600 hover:underline">
+                {item.post.title}
+              </Link>
+              <p className="text-gray-700 text-sm mt-1 break-words">{item.comment.text}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                Removed for good {new Date(item.purgeAt).toLocaleString()}
+              </p>
+            </div>
+            {item.restorable ? (
+              <button
+                onClick={() => handleRestore(item)}
+                className="self-start text-sm text-teal-600 hover:underline"
+              >
+                Restore
+              </button>
+            ) : (
+              <span className="self-start text-sm text-gray-500">Removed by an admin</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
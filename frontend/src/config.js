@@ -7,17 +7,29 @@ const Configs = {
     auth: {
       login: "/login",
       register: "/register",
+      refresh: "/token/refresh",
+      logout: "/logout",
+      verifyEmail: "/email/verify",
+      resendVerification: "/email/verify/resend",
+      forgotPassword: "/password/forgot",
+      resetPassword: "/password/reset",
     },
     get: {
       post: "/post",
       profile: "/profile",
       likedpost: "/likedpost",
-      commentedpost: "/commentedpost"
+      commentedpost: "/commentedpost",
+      search: "/search",
+      tags: "/tags",
+      user: "/user/",
+      followingFeed: "/feed/following"
     },
     post: {
       newPost: "/post",
       like: "/post/",
-      comment: "/post/"
+      reaction: "/post/",
+      comment: "/post/",
+      report: "/post/"
     },
     put: {
       updateProfile: "/profile",
@@ -25,11 +37,67 @@ const Configs = {
     },
     del: {
       delete: "/deletepost/"
+    },
+    saved: {
+      list: "/saved",
+      post: "/post/",
+      collections: "/collections",
+      collection: "/collections/"
+    },
+    revisions: {
+      post: "/post/"
+    },
+    trash: {
+      posts: "/trash",
+      comments: "/trash/comments",
+      post: "/post/"
+    },
+    messages: {
+      conversations: "/conversations",
+      conversation: "/conversations/",
+      unreadCount: "/messages/unread-count"
+    },
+    events: "/events",
+    notifications: {
+      list: "/notifications",
+      unreadCount: "/notifications/unread-count",
+      read: "/notifications/read"
+    },
+    admin: {
+      users: "/admin/users",
+      user: "/admin/users/",
+      reports: "/admin/reports",
+      tag: "/admin/tags/",
+      report: "/admin/reports/",
+      trash: "/admin/trash",
+      post: "/admin/post/",
+      createAdmin: "/createadmin"
     }
   },
 
+  // ลำดับเดียวกับที่แสดงใน picker
+  reactions: [
+    { type: "like", emoji: "👍", label: "Like" },
+    { type: "love", emoji: "❤️", label: "Love" },
+    { type: "haha", emoji: "😆", label: "Haha" },
+    { type: "wow", emoji: "😮", label: "Wow" },
+    { type: "sad", emoji: "😢", label: "Sad" },
+    { type: "angry", emoji: "😡", label: "Angry" },
+  ],
+
+  reportReasons: [
+    { value: "spam", label: "Spam" },
+    { value: "harassment", label: "Harassment" },
+    { value: "hate", label: "Hate speech" },
+    { value: "violence", label: "Violence" },
+    { value: "scam", label: "Scam / fraud" },
+    { value: "inappropriate", label: "Inappropriate content" },
+    { value: "other", label: "Other" },
+  ],
+
   storage: {
     token: "access_token",
+    refreshToken: "refresh_token",
     user: "user_data",
   },
 };
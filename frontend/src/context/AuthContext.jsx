@@ -1,29 +1,52 @@
 import { createContext, useContext, useState, useEffect } from "react"
+import Configs from "../config"
+import { logoutApi } from "../api/auth"
 
 const AuthContext = createContext()
 
+const clearSession = () => {
+  localStorage.removeItem("user_data")
+  localStorage.removeItem("access_token")
+  localStorage.removeItem(Configs.storage.refreshToken)
+}
+
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(null)
+  // อ่าน user ที่ login ค้างไว้ตั้งแต่ render แรก หน้าอื่นจะได้ไม่เห็น user เป็น null ชั่วขณะ
+  // (ProtectedRoute จะเด้งไป /login และหน้าที่เปิดได้ทั้งสองแบบจะโหลดข้อมูลแบบคนไม่ได้ login)
+  const [user, setUser] = useState(() => {
+    const storedUser = localStorage.getItem("user_data")
+    return storedUser ? JSON.parse(storedUser) : null
+  })
 
+  // client.js ส่ง event นี้มาเมื่อ refresh token ใช้ไม่ได้แล้ว
   useEffect(() => {
-    const storedUser = localStorage.getItem("user_data")
-    if (storedUser) {
-      setUser(JSON.parse(storedUser))
+    const handleExpired = () => {
+      clearSession()
+      setUser(null)
     }
+
+    window.addEventListener("auth:expired", handleExpired)
+    return () => window.removeEventListener("auth:expired", handleExpired)
   }, [])
 
-  const login = (userData, token) => {
+  const login = (userData, token, refreshToken) => {
     setUser(userData)
     localStorage.setItem("user_data", JSON.stringify(userData))
     if (token) {
       localStorage.setItem("access_token", token)
     }
+    if (refreshToken) {
+      localStorage.setItem(Configs.storage.refreshToken, refreshToken)
+    }
   }
 
   const logout = () => {
+    const refreshToken = localStorage.getItem(Configs.storage.refreshToken)
+    if (refreshToken) {
+      logoutApi(refreshToken).catch((err) => console.error("Logout error:", err))
+    }
     setUser(null)
-    localStorage.removeItem("user_data")
-    localStorage.removeItem("access_token")
+    clearSession()
   }
 
   return (
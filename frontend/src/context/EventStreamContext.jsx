@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+import Configs from "../config"
+import { refreshSession } from "../api/client"
+import { useAuth } from "./AuthContext"
+import { EventStreamContext } from "../hooks/useEventStream"
+
+const MAX_RETRY_DELAY = 30000
+
+// event ที่ backend ส่งมาทาง /events
+const EVENTS = ["post:new", "post:like", "comment:new", "message:new"]
+
+// channel ที่ event นี้ถูกส่งมา (ตรงกับ publish / publishPostEvent ฝั่ง backend)
+const eventChannels = (event, data) =>
+  event === "message:new" ? ["inbox"] : ["feed", `post:${data.postId || data._id}`]
+
+// ดูเวลาหมดอายุจาก payload ของ JWT (ไม่ได้ตรวจลายเซ็น แค่ใช้ตัดสินใจว่าต้อง refresh ก่อนต่อใหม่ไหม)
+const isTokenExpired = (token) => {
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    )
+    return payload.exp * 1000 <= Date.now() + 5000
+  } catch {
+    return true
+  }
+}
+
+// เปิด EventSource เดียวต่อแท็บ ฟังรวมทุก channel ที่ component ต่าง ๆ ขอผ่าน useEventStream
+// (browser เปิด connection ค้างต่อ host ได้จำกัด) channel เปลี่ยนเมื่อไหร่จะต่อใหม่ด้วยชุดใหม่
+// ถ้าหลุดจะต่อใหม่เองแบบ backoff และขอ token ใหม่ก่อนถ้า access token หมดอายุแล้ว
+export function EventStreamProvider({ children }) {
+  const { user } = useAuth()
+  const loggedIn = Boolean(user)
+  const subscribersRef = useRef(new Set())
+  const [channelKey, setChannelKey] = useState("")
+
+  const updateChannels = useCallback(() => {
+    const channels = new Set()
+    subscribersRef.current.forEach((s) => s.channels.forEach((c) => channels.add(c)))
+    setChannelKey([...channels].sort().join(","))
+  }, [])
+
+  const subscribe = useCallback(
+    (channels, handlersRef) => {
+      const subscriber = { channels, handlersRef }
+      subscribersRef.current.add(subscriber)
+      updateChannels()
+      return () => {
+        subscribersRef.current.delete(subscriber)
+        updateChannels()
+      }
+    },
+    [updateChannels]
+  )
+
+  useEffect(() => {
+    if (!channelKey || !loggedIn) return
+
+    let source = null
+    let retryTimer = null
+    let retryDelay = 1000
+    let closed = false
+
+    const dispatch = (event, data) => {
+      const targets = eventChannels(event, data)
+      subscribersRef.current.forEach(({ channels, handlersRef }) => {
+        if (channels.some((c) => targets.includes(c))) handlersRef.current[event]?.(data)
+      })
+    }
+
+    const connect = async () => {
+      let token = localStorage.getItem(Configs.storage.token)
+      if (!token) return
+
+      if (isTokenExpired(token)) {
+        try {
+          token = await refreshSession()
+        } catch {
+          return // refreshSession แจ้ง auth:expired ให้ AuthContext logout แล้ว
+        }
+      }
+      if (closed) return
+
+      const params = new URLSearchParams({ token, channels: channelKey })
+      source = new EventSource(
+        `${Configs.api.baseApiUrl}${Configs.api.events}?${params}`
+      )
+
+      source.onopen = () => {
+        retryDelay = 1000
+      }
+
+      EVENTS.forEach((event) => {
+        source.addEventListener(event, (e) => dispatch(event, JSON.parse(e.data)))
+      })
+
+      // EventSource ต่อใหม่เองถ้าแค่เน็ตหลุด แต่ถ้า server ตอบ error (เช่น token หมดอายุ) จะปิดไปเลย
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return
+        source = null
+        retryTimer = setTimeout(connect, retryDelay)
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY)
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      source?.close()
+    }
+  }, [channelKey, loggedIn])
+
+  return (
+    <EventStreamContext.Provider value={subscribe}>
+      {children}
+    </EventStreamContext.Provider>
+  )
+}
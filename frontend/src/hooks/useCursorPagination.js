@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+
+// โหลดรายการแบบ cursor ทีละหน้า และโหลดหน้าถัดไปเมื่อ sentinel เลื่อนเข้ามาในจอ
+// fetchPage(cursor) ต้องคืน { items, nextCursor } ตามรูปแบบของ backend
+// resetKey เปลี่ยนเมื่อไหร่ (เช่นเปลี่ยน tag / การเรียง) จะเริ่มโหลดจากหน้าแรกใหม่
+export default function useCursorPagination(fetchPage, resetKey = "") {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [hasMore, setHasMore] = useState(false)
+
+  const fetchRef = useRef(fetchPage)
+  const cursorRef = useRef(null)
+  const loadingRef = useRef(false)
+  const generationRef = useRef(0)
+  const sentinelRef = useRef(null)
+
+  useEffect(() => {
+    fetchRef.current = fetchPage
+  })
+
+  const loadPage = useCallback(async (generation, cursor) => {
+    loadingRef.current = true
+    try {
+      const page = await fetchRef.current(cursor)
+      if (generation !== generationRef.current) return
+
+      cursorRef.current = page.nextCursor
+      setItems((prev) => (cursor ? [...prev, ...page.items] : page.items))
+      setHasMore(Boolean(page.nextCursor))
+      setError(null)
+    } catch (err) {
+      if (generation !== generationRef.current) return
+      console.error("Fetch page error:", err)
+      setError(err)
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false
+        setLoading(false)
+      }
+    }
+  }, [])
+
+  useEffect(() => {
+    generationRef.current += 1
+    cursorRef.current = null
+    loadPage(generationRef.current, null)
+  }, [resetKey, loadPage])
+
+  const loadMore = useCallback(() => {
+    if (loadingRef.current || !cursorRef.current) return
+    setLoading(true)
+    loadPage(generationRef.current, cursorRef.current)
+  }, [loadPage])
+
+  // สร้าง observer ใหม่ทุกครั้งที่ items เปลี่ยน ถ้า sentinel ยังอยู่ในจอจะได้โหลดต่อทันที
+  useEffect(() => {
+    const node = sentinelRef.current
+    if (!node) return
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore()
+      },
+      { rootMargin: "200px" }
+    )
+    observer.observe(node)
+    return () => observer.disconnect()
+  }, [items, loadMore])
+
+  return { items, setItems, loading, error, hasMore, loadMore, sentinelRef }
+}
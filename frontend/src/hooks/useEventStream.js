@@ -0,0 +1,22 @@
+import { createContext, useContext, useEffect, useRef } from "react"
+
+// ค่าเป็นฟังก์ชัน subscribe(channels, handlersRef) จาก EventStreamProvider คืนฟังก์ชันยกเลิก
+export const EventStreamContext = createContext(() => () => {})
+
+// รับ event แบบ real-time จาก backend (Server-Sent Events) ผ่าน connection เดียวที่ EventStreamProvider เปิดไว้
+// channels เช่น ["feed"] หรือ [`post:${id}`], handlers = { "post:like": (data) => ... }
+// ได้เฉพาะ event ของ channel ที่ขอไว้ แม้ connection จะฟัง channel ของหน้าอื่นอยู่ด้วย
+export default function useEventStream(channels, handlers) {
+  const subscribe = useContext(EventStreamContext)
+  const handlersRef = useRef(handlers)
+  const channelKey = channels.filter(Boolean).join(",")
+
+  useEffect(() => {
+    handlersRef.current = handlers
+  })
+
+  useEffect(() => {
+    if (!channelKey) return
+    return subscribe(channelKey.split(","), handlersRef)
+  }, [subscribe, channelKey])
+}
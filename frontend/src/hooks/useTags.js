@@ -0,0 +1,35 @@
+import { useEffect, useState } from "react"
+import { getTagsApi } from "../api/get"
+
+// tag registry เปลี่ยนไม่บ่อย โหลดครั้งเดียวแล้วใช้ร่วมกันทุก component
+let tagsPromise = null
+
+const loadTags = () => {
+  if (!tagsPromise) {
+    tagsPromise = getTagsApi().catch((err) => {
+      tagsPromise = null
+      throw err
+    })
+  }
+  return tagsPromise
+}
+
+export default function useTags() {
+  const [tags, setTags] = useState([])
+
+  useEffect(() => {
+    let ignore = false
+
+    loadTags()
+      .then((data) => {
+        if (!ignore) setTags(data)
+      })
+      .catch((err) => console.error("Fetch tags error:", err))
+
+    return () => {
+      ignore = true
+    }
+  }, [])
+
+  return tags
+}
@@ -3,11 +3,14 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { AuthProvider } from './context/AuthContext'
+import { EventStreamProvider } from './context/EventStreamContext'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <AuthProvider>
-      <App />
+      <EventStreamProvider>
+        <App />
+      </EventStreamProvider>
     </AuthProvider>
   </StrictMode>,
 )
\ No newline at end of file
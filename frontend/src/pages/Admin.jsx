@@ -0,0 +1,539 @@
+import { useCallback, useEffect, useState } from "react"
+import { useAuth } from "../context/AuthContext"
+import {
+  getUsersApi,
+  updateUserRoleApi,
+  suspendUserApi,
+  deleteUserApi,
+  getReportsApi,
+  resolveReportApi,
+  updateTagApi,
+  getAdminTrashApi,
+  purgePostApi,
+} from "../api/admin"
+import { getTagsApi } from "../api/get"
+import { restorePostApi } from "../api/trash"
+import { getErrorMessage } from "../api/errors"
+import useCursorPagination from "../hooks/useCursorPagination"
+import Configs from "../config"
+
+const PAGE_LIMIT = 20
+
+export default function Admin() {
+  const [activeTab, setActiveTab] = useState("users")
+
+  const tabClass = (tab) =>
+    `pb-3 font-medium ${
+      activeTab === tab ? "text-primary border-b-2 border-primary" : "text-gray-500"
+    }`
+
+  return (
+    <div className="min-h-[91vh] bg-gray-100 px-10 py-8">
+      <div className="flex gap-8 border-b mb-6">
+        <button onClick={() => setActiveTab("users")} className={tabClass("users")}>
+          Users
+        </button>
+        <button onClick={() => setActiveTab("reports")} className={tabClass("reports")}>
+          Reports
+        </button>
+        <button onClick={() => setActiveTab("tags")} className={tabClass("tags")}>
+          Tags
+        </button>
+        <button onClick={() => setActiveTab("trash")} className={tabClass("trash")}>
+          Trash
+        </button>
+      </div>
+
+      {activeTab === "users" && <UserManagement />}
+      {activeTab === "reports" && <ReportQueue />}
+      {activeTab === "tags" && <TagManagement />}
+      {activeTab === "trash" && <TrashManagement />}
+    </div>
+  )
+}
+
+function UserManagement() {
+  const { user } = useAuth()
+  const [users, setUsers] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(1)
+  const [keyword, setKeyword] = useState("")
+  const [search, setSearch] = useState("")
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let ignore = false
+
+    getUsersApi({ search: search || undefined, page, limit: PAGE_LIMIT })
+      .then((data) => {
+        if (ignore) return
+        setUsers(data.items)
+        setTotal(data.total)
+        setError(null)
+      })
+      .catch((err) => {
+        if (ignore) return
+        console.error(err)
+        setError("Failed to load users")
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false)
+      })
+
+    return () => {
+      ignore = true
+    }
+  }, [search, page])
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setPage(1)
+    setSearch(keyword.trim())
+  }
+
+  const replaceUser = (updated) =>
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? updated : u)))
+
+  const handleRole = async (target) => {
+    const role = target.role === "admin" ? "user" : "admin"
+    if (!window.confirm(`Change ${target.fullname} to ${role}?`)) return
+    try {
+      replaceUser(await updateUserRoleApi(target._id, role))
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Update role failed"))
+    }
+  }
+
+  const handleSuspend = async (target) => {
+    let reason
+    if (!target.suspended) {
+      reason = window.prompt(`Reason for suspending ${target.fullname}?`)
+      if (reason === null) return
+    }
+    try {
+      replaceUser(await suspendUserApi(target._id, !target.suspended, reason))
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Suspend failed"))
+    }
+  }
+
+  const handleDelete = async (target) => {
+    if (!window.confirm(`Delete ${target.fullname} and all of their posts?`)) return
+    try {
+      await deleteUserApi(target._id)
+      setUsers((prev) => prev.filter((u) => u._id !== target._id))
+      setTotal((prev) => prev - 1)
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Delete failed"))
+    }
+  }
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_LIMIT), 1)
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Admin - Users</h1>
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="Search name or email..."
+            value={keyword}
+            onChange={(e) => setKeyword(e.target.value)}
+            className="px-4 py-2 rounded-md border border-gray-300 focus:outline-none"
+          />
+          <button
+            type="submit"
+            className="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 transition"
+          >
+            Search
+          </button>
+        </form>
+      </div>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-4 py-3">Name</th>
+              <th className="px-4 py-3">Email</th>
+              <th className="px-4 py-3">Role</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => {
+              const isSelf = u._id === user?.id
+              return (
+                <tr key={u._id} className="border-t">
+                  <td className="px-4 py-3 text-gray-800">{u.fullname}</td>
+                  <td className="px-4 py-3 text-gray-600">{u.email}</td>
+                  <td className="px-4 py-3">
+                    <span
+                      className={`px-3 py-1 rounded-full text-xs ${
+                        u.role === "admin"
+                          ? "bg-teal-600 text-white"
+                          : "bg-gray-200 text-gray-700"
+                      }`}
+                    >
+                      {u.role}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3">
+                    {u.suspended ? (
+                      <span className="text-red-500" title={u.suspendReason || ""}>
+                        Suspended
+                      </span>
+                    ) : (
+                      <span className="text-gray-600">Active</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end gap-4">
+                      <button
+                        disabled={isSelf}
+                        onClick={() => handleRole(u)}
+                        className="text-teal-600 hover:underline disabled:opacity-40 disabled:no-underline"
+                      >
+                        {u.role === "admin" ? "Demote" : "Promote"}
+                      </button>
+                      <button
+                        disabled={isSelf}
+                        onClick={() => handleSuspend(u)}
+                        className="text-gray-600 hover:underline disabled:opacity-40 disabled:no-underline"
+                      >
+                        {u.suspended ? "Unsuspend" : "Suspend"}
+                      </button>
+                      <button
+                        disabled={isSelf}
+                        onClick={() => handleDelete(u)}
+                        className="text-red-500 hover:underline disabled:opacity-40 disabled:no-underline"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+
+        {!loading && users.length === 0 && (
+          <p className="p-6 text-center text-gray-500">No users found</p>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+        <span>
+          {total} users · page {page} / {totalPages}
+        </span>
+        <div className="flex gap-2">
+          <button
+            disabled={page <= 1}
+            onClick={() => setPage((p) => p - 1)}
+            className="px-3 py-1 bg-white border rounded disabled:opacity-40"
+          >
+            Prev
+          </button>
+          <button
+            disabled={page >= totalPages}
+            onClick={() => setPage((p) => p + 1)}
+            className="px-3 py-1 bg-white border rounded disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ReportQueue() {
+  const [reports, setReports] = useState([])
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let ignore = false
+
+    getReportsApi({ status: "open", limit: 50 })
+      .then((data) => {
+        if (ignore) return
+        setReports(data.items)
+        setTotal(data.total)
+      })
+      .catch((err) => {
+        if (ignore) return
+        console.error(err)
+        setError("Failed to load reports")
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false)
+      })
+
+    return () => {
+      ignore = true
+    }
+  }, [])
+
+  const reasonLabel = (value) =>
+    Configs.reportReasons.find((r) => r.value === value)?.label || value
+
+  // ปิดรายงานหนึ่งอัน = ปิดทุกอันของเป้าหมายเดียวกัน จึงเอาออกจากรายการทั้งกลุ่ม
+  const handleResolve = async (report, action) => {
+    if (action === "delete" && !window.confirm("Move this content to the trash?")) return
+    try {
+      await resolveReportApi(report._id, action)
+      const postId = report.post?._id
+      const sameTarget = (r) =>
+        r.post?._id === postId &&
+        (action === "delete" && !report.comment ? true : r.comment === report.comment)
+      const removed = reports.filter(sameTarget).length
+      setReports((prev) => prev.filter((r) => !sameTarget(r)))
+      setTotal((t) => t - removed)
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Resolve failed"))
+    }
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-800 mb-6">
+        Admin - Reports ({total} open)
+      </h1>
+
+      {error && <p className="text-red-500 mb-4">{error}</p>}
+      {!loading && reports.length === 0 && (
+        <p className="text-gray-500">No open reports</p>
+      )}
+
+      <div className="space-y-4">
+        {reports.map((report) => (
+          <div key={report._id} className="bg-white rounded-lg shadow p-4 flex justify-between gap-6">
+            <div className="flex-1">
+              <div className="flex items-center gap-3 mb-2">
+                <span className="px-3 py-1 bg-red-500 text-white text-xs rounded-full">
+                  {reasonLabel(report.reason)}
+                </span>
+                <span className="text-sm text-gray-500">
+                  {report.comment ? "Comment" : "Post"} ·{" "}
+                  {new Date(report.created_at).toLocaleDateString()} · by{" "}
+                  {report.reporter?.fullname || "deleted user"}
+                </span>
+                {report.post?.hidden && !report.comment && (
+                  <span className="text-xs text-gray-500">(hidden)</span>
+                )}
+              </div>
+
+              {report.post ? (
+                <a
+                  href={`/postdetail/${report.post._id}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-teal-600 font-semibold hover:underline"
+                >
+                  {report.post.title}
+                </a>
+              ) : (
+                <span className="text-gray-500">Post no longer exists</span>
+              )}
+              {report.commentText && (
+                <p className="text-gray-700 text-sm mt-2 border-l-4 pl-3">
+                  {report.commentText}
+                </p>
+              )}
+              {report.details && (
+                <p className="text-gray-600 text-sm mt-2">“{report.details}”</p>
+              )}
+            </div>
+
+            <div className="flex flex-col gap-2 text-sm">
+              <button
+                onClick={() => handleResolve(report, "dismiss")}
+                className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300"
+              >
+                Dismiss
+              </button>
+              <button
+                onClick={() => handleResolve(report, "hide")}
+                className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700"
+              >
+                Hide
+              </button>
+              <button
+                onClick={() => handleResolve(report, "delete")}
+                className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function TagManagement() {
+  const [tags, setTags] = useState([])
+
+  useEffect(() => {
+    let ignore = false
+
+    getTagsApi()
+      .then((data) => {
+        if (!ignore) setTags(data)
+      })
+      .catch((err) => console.error(err))
+
+    return () => {
+      ignore = true
+    }
+  }, [])
+
+  const handleChange = (name, field, value) =>
+    setTags((prev) => prev.map((t) => (t.name === name ? { ...t, [field]: value } : t)))
+
+  const handleSave = async (tag) => {
+    try {
+      const updated = await updateTagApi(tag.name, {
+        displayName: tag.displayName,
+        color: tag.color,
+      })
+      setTags((prev) => prev.map((t) => (t.name === updated.name ? updated : t)))
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, "Save failed"))
+    }
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-800 mb-6">Admin - Tags</h1>
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="w-full text-sm text-left">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="px-4 py-3">Name</th>
+              <th className="px-4 py-3">Display name</th>
+              <th className="px-4 py-3">Color</th>
+              <th className="px-4 py-3">Posts</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {tags.map((tag) => (
+              <tr key={tag.name} className="border-t">
+                <td className="px-4 py-3 text-gray-600">{tag.name}</td>
+                <td className="px-4 py-3">
+                  <input
+                    type="text"
+                    value={tag.displayName}
+                    onChange={(e) => handleChange(tag.name, "displayName", e.target.value)}
+                    className="border rounded px-2 py-1"
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <input
+                    type="color"
+                    value={tag.color}
+                    onChange={(e) => handleChange(tag.name, "color", e.target.value)}
+                  />
+                </td>
+                <td className="px-4 py-3 text-gray-600">{tag.usageCount}</td>
+                <td className="px-4 py-3 text-right">
+                  <button
+                    onClick={() => handleSave(tag)}
+                    className="text-teal-600 hover:underline"
+                  >
+                    Save
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// โพสต์ที่ลบแล้วของทุกคน: กู้คืน หรือลบจริงทันทีโดยไม่ต้องรอครบกำหนด
+function TrashManagement() {
+  const fetchPage = useCallback((cursor) => getAdminTrashApi({ cursor: cursor || undefined }), [])
+  const { items: posts, setItems: setPosts, loading, error, hasMore, sentinelRef } =
+    useCursorPagination(fetchPage)
+
+  const run = async (post, request, failure) => {
+    try {
+      await request(post._id)
+      setPosts((prev) => prev.filter((p) => p._id !== post._id))
+    } catch (err) {
+      console.error(err)
+      alert(getErrorMessage(err, failure))
+    }
+  }
+
+  const handlePurge = (post) => {
+    if (!window.confirm(`Permanently delete "${post.title}"? This cannot be undone.`)) return
+    run(post, purgePostApi, "Purge failed")
+  }
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-800 mb-6">Admin - Trash</h1>
+
+      {error && <p className="text-red-500 mb-4">Failed to load trash</p>}
+      {!loading && !error && posts.length === 0 && (
+        <p className="text-gray-500">Trash is empty</p>
+      )}
+
+      <div className="space-y-4">
+        {posts.map((post) => (
+          <div key={post._id} className="bg-white rounded-lg shadow p-4 flex justify-between gap-6">
+            <div className="flex-1">
+              <p className="text-teal-600 font-semibold">{post.title}</p>
+              <p className="text-sm text-gray-500 mt-1">
+                by {post.owner?.fullname || "deleted user"} · deleted{" "}
+                {new Date(post.deletedAt).toLocaleString()}
+                {post.deletedBy !== post.owner?._id && " by an admin"}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Removed for good {new Date(post.purgeAt).toLocaleString()}
+              </p>
+            </div>
+
+            <div className="flex flex-col gap-2 text-sm">
+              <button
+                onClick={() => run(post, restorePostApi, "Restore failed")}
+                className="px-3 py-1 bg-teal-600 text-white rounded hover:bg-teal-700"
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => handlePurge(post)}
+                className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+              >
+                Purge
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {hasMore && <div ref={sentinelRef} className="h-10" />}
+      {loading && <p className="text-center text-sm text-gray-500 py-4">Loading...</p>}
+    </div>
+  )
+}
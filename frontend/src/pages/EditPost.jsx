@@ -0,0 +1,281 @@
+import { useEffect, useRef, useState } from "react"
+import { useNavigate, useParams } from "react-router-dom"
+import { ArrowLeft, ArrowRight, X } from "lucide-react"
+import client from "../api/client"
+import Configs from "../config"
+import { submitPostFormApi } from "../api/post"
+import { getErrorMessage, getFieldErrors } from "../api/errors"
+import { imageVariantUrl } from "../utils/image"
+
+// ตรงกับ MAX_POST_IMAGES / MAX_CAPTION_LENGTH / MAX_ALT_LENGTH ฝั่ง backend
+const MAX_IMAGES = 10
+const MAX_CAPTION_LENGTH = 300
+const MAX_ALT_LENGTH = 200
+
+// รูปในแกลเลอรีที่กำลังแก้: รูปเดิมมี _id, รูปใหม่มี file (preview เป็น object URL)
+let nextKey = 0
+const existingImage = (image) => ({
+  key: `img-${nextKey++}`,
+  _id: image._id,
+  preview: imageVariantUrl(image, "thumb"),
+  caption: image.caption || "",
+  alt: image.alt || "",
+})
+const newImage = (file) => ({
+  key: `img-${nextKey++}`,
+  file,
+  preview: URL.createObjectURL(file),
+  caption: "",
+  alt: "",
+})
+
+// /newpost = สร้างโพสต์ใหม่, /editpost/:id = แก้โพสต์เดิม
+// แกลเลอรีส่งไปเป็น gallery (ลำดับทั้งหมดที่ต้องการ) + ไฟล์ใหม่ใน images ตามลำดับที่อ้างถึง
+export default function EditPost() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [form, setForm] = useState({ title: "", content: "", tags: "", visibility: "public" })
+  const [gallery, setGallery] = useState([])
+  const [loading, setLoading] = useState(Boolean(id))
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState({})
+  // object URL ของรูปใหม่ที่ยังแสดงอยู่ คืนตอนลบรูปหรือออกจากหน้า
+  const previewsRef = useRef(new Set())
+
+  useEffect(() => {
+    if (!id) return
+    client
+      .get(Configs.api.get.post + `/${id}`)
+      .then(({ data }) => {
+        setForm({
+          title: data.title,
+          content: data.content,
+          tags: (data.tags || []).join(", "),
+          visibility: data.visibility || "public",
+        })
+        setGallery((data.images || []).map(existingImage))
+      })
+      .catch((err) => setError(getErrorMessage(err, "Failed to load post")))
+      .finally(() => setLoading(false))
+  }, [id])
+
+  useEffect(() => {
+    const previews = previewsRef.current
+    return () => previews.forEach((url) => URL.revokeObjectURL(url))
+  }, [])
+
+  const setField = (name, value) => setForm((prev) => ({ ...prev, [name]: value }))
+
+  const handleFiles = (e) => {
+    const items = [...e.target.files].slice(0, MAX_IMAGES - gallery.length).map(newImage)
+    e.target.value = ""
+    items.forEach((item) => previewsRef.current.add(item.preview))
+    setGallery((prev) => [...prev, ...items])
+  }
+
+  const moveImage = (index, offset) => {
+    setGallery((prev) => {
+      const next = [...prev]
+      const [item] = next.splice(index, 1)
+      next.splice(index + offset, 0, item)
+      return next
+    })
+  }
+
+  const removeImage = (index) => {
+    const item = gallery[index]
+    if (item.file) {
+      URL.revokeObjectURL(item.preview)
+      previewsRef.current.delete(item.preview)
+    }
+    setGallery((prev) => prev.filter((_, i) => i !== index))
+  }
+
+  const updateImage = (index, name, value) =>
+    setGallery((prev) => prev.map((item, i) => (i === index ? { ...item, [name]: value } : item)))
+
+  const handleSubmit = async (status) => {
+    const formData = new FormData()
+    formData.append("title", form.title)
+    formData.append("content", form.content)
+    formData.append("tags", form.tags)
+    formData.append("visibility", form.visibility)
+    if (status) formData.append("status", status)
+
+    let upload = 0
+    const entries = gallery.map(({ _id, file, caption, alt }) => {
+      if (_id) return { _id, caption, alt }
+      formData.append("images", file)
+      return { upload: upload++, caption, alt }
+    })
+    formData.append("gallery", JSON.stringify(entries))
+
+    try {
+      setSubmitting(true)
+      const post = await submitPostFormApi(id || null, formData)
+      navigate(`/postdetail/${post._id}`)
+    } catch (err) {
+      console.error(err)
+      setFieldErrors(getFieldErrors(err))
+      setError(getErrorMessage(err, "Save failed"))
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) return <p className="p-10">Loading...</p>
+
+  return (
+    <div className="min-h-screen bg-gray-50 px-10 py-8">
+      <div className="max-w-3xl mx-auto bg-white rounded-lg shadow p-8 space-y-5">
+        <h1 className="text-2xl font-bold">{id ? "Edit post" : "New post"}</h1>
+
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+          <input
+            value={form.title}
+            onChange={(e) => setField("title", e.target.value)}
+            maxLength={200}
+            className="w-full border rounded p-2"
+          />
+          {fieldErrors.title && <p className="text-red-500 text-xs mt-1">{fieldErrors.title}</p>}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
+          <textarea
+            value={form.content}
+            onChange={(e) => setField("content", e.target.value)}
+            maxLength={10000}
+            rows="8"
+            className="w-full border rounded p-2"
+          />
+          {fieldErrors.content && <p className="text-red-500 text-xs mt-1">{fieldErrors.content}</p>}
+        </div>
+
+        <div className="flex gap-6">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tags (comma separated)</label>
+            <input
+              value={form.tags}
+              onChange={(e) => setField("tags", e.target.value)}
+              className="w-full border rounded p-2"
+            />
+            {fieldErrors.tags && <p className="text-red-500 text-xs mt-1">{fieldErrors.tags}</p>}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Who can read it</label>
+            <select
+              value={form.visibility}
+              onChange={(e) => setField("visibility", e.target.value)}
+              className="border rounded p-2"
+            >
+              <option value="public">Everyone</option>
+              <option value="members">Members only</option>
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <label className="text-sm font-medium text-gray-700">
+              Images ({gallery.length}/{MAX_IMAGES}) - the first one is the cover
+            </label>
+            <label
+              className={`text-sm text-teal-600 ${
+                gallery.length >= MAX_IMAGES ? "opacity-50 cursor-not-allowed" : "cursor-pointer hover:underline"
+              }`}
+            >
+              Add images
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                disabled={gallery.length >= MAX_IMAGES}
+                onChange={handleFiles}
+                className="hidden"
+              />
+            </label>
+          </div>
+          {fieldErrors.gallery && <p className="text-red-500 text-xs mb-2">{fieldErrors.gallery}</p>}
+
+          <div className="space-y-3">
+            {gallery.map((item, index) => (
+              <div key={item.key} className="flex gap-3 items-start border rounded p-2">
+                <img src={item.preview} alt={item.alt} className="w-24 h-24 object-cover rounded" />
+                <div className="flex-1 space-y-2">
+                  <input
+                    value={item.caption}
+                    onChange={(e) => updateImage(index, "caption", e.target.value)}
+                    maxLength={MAX_CAPTION_LENGTH}
+                    placeholder="Caption"
+                    className="w-full border rounded p-1 text-sm"
+                  />
+                  <input
+                    value={item.alt}
+                    onChange={(e) => updateImage(index, "alt", e.target.value)}
+                    maxLength={MAX_ALT_LENGTH}
+                    placeholder="Describe the image for screen readers"
+                    className="w-full border rounded p-1 text-sm"
+                  />
+                </div>
+                <div className="flex gap-1 text-gray-500">
+                  <button
+                    type="button"
+                    onClick={() => moveImage(index, -1)}
+                    disabled={index === 0}
+                    title="Move earlier"
+                    className="p-1 hover:text-gray-800 disabled:opacity-30"
+                  >
+                    <ArrowLeft size={18} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveImage(index, 1)}
+                    disabled={index === gallery.length - 1}
+                    title="Move later"
+                    className="p-1 hover:text-gray-800 disabled:opacity-30"
+                  >
+                    <ArrowRight size={18} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeImage(index)}
+                    title="Remove"
+                    className="p-1 hover:text-red-600"
+                  >
+                    <X size={18} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button onClick={() => navigate(-1)} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+          {!id && (
+            <button
+              onClick={() => handleSubmit("draft")}
+              disabled={submitting}
+              className="px-4 py-2 border border-teal-600 text-teal-600 rounded hover:bg-teal-50 disabled:opacity-50"
+            >
+              Save as draft
+            </button>
+          )}
+          <button
+            onClick={() => handleSubmit(null)}
+            disabled={submitting}
+            className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+          >
+            {id ? "Save" : "Publish"}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
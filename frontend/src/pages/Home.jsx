@@ -1,7 +1,13 @@
-import { useEffect, useState, useMemo } from "react"
-import { getPostsApi } from "../api/get"
+import { useCallback, useState } from "react"
+import { getPostsApi, getFollowingFeedApi } from "../api/get"
 import { useNavigate } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
 import { ThumbsUp, MessageSquare } from "lucide-react"
+import useCursorPagination from "../hooks/useCursorPagination"
+import useTags from "../hooks/useTags"
+import useEventStream from "../hooks/useEventStream"
+import PostListCard from "../components/PostListCard"
+import PostCover from "../components/PostCover"
 
 export default function Home() {
   // const mockPosts = [
@@ -66,44 +72,61 @@ export default function Home() {
   //     tag: "Entertainment",
   //   },
   // ]
-  const [posts, setPosts] = useState([])
+  const navigate = useNavigate()
+  const { user } = useAuth()
 
-  const tags = ["All post", "News", "Sport", "Politic", "Entertainment", "Game", "Music"]
+  // แสดงเฉพาะ tag ยอดนิยม ส่วนที่เหลือเข้าได้จาก chip ในโพสต์ (/tag/:name)
+  const tags = useTags().slice(0, 8)
 
-  const [selectedTag, setSelectedTag] = useState("All post")
+  const [selectedTag, setSelectedTag] = useState("")
   const [sortType, setSortType] = useState("new")
-
-  useEffect(() => {
-    const fetchPosts = async () => {
-      try {
-        const data = await getPostsApi()
-        setPosts(data)
-      } catch (err) {
-        console.error("Fetch post error:", err)
+  // "all" = ทุกโพสต์ (กรองด้วย tag ได้), "following" = เฉพาะโพสต์ของคนที่เราติดตาม (ต้อง login)
+  const [feed, setFeed] = useState("all")
+  const activeFeed = user ? feed : "all"
+
+  const fetchPage = useCallback(
+    (cursor) => {
+      const order_by = sortType === "new" ? "post_date" : undefined
+      if (activeFeed === "following") {
+        return getFollowingFeedApi({ cursor: cursor || undefined, order_by })
       }
-    }
-
-    fetchPosts()
-  }, [])
-
-  const filteredPosts = useMemo(() => {
-    let filtered =
-      selectedTag === "All post"
-        ? posts
-        : posts.filter((p) => p.tag === selectedTag)
+      return getPostsApi({
+        cursor: cursor || undefined,
+        tag: selectedTag || undefined,
+        order_by,
+      })
+    },
+    [activeFeed, selectedTag, sortType]
+  )
 
-    if (sortType === "new") {
-      filtered = [...filtered].sort(
-        (a, b) => new Date(b.created_at) - new Date(a.created_at)
-      )
-    } else {
-      filtered = [...filtered].sort(
-        (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  const {
+    items: posts,
+    setItems: setPosts,
+    loading,
+    hasMore,
+    sentinelRef,
+  } = useCursorPagination(fetchPage, `${activeFeed}|${selectedTag}|${sortType}`)
+
+  const updateCounts = (postId, counts) =>
+    setPosts((prev) =>
+      prev.map((p) => (p._id === postId ? { ...p, ...counts } : p))
+    )
+
+  useEventStream(["feed"], {
+    // โพสต์ใหม่ขึ้นบนสุดเฉพาะตอนเรียงใหม่สุด และตรงกับ tag ที่เลือกอยู่
+    "post:new": (post) => {
+      if (sortType !== "new") return
+      // ฝั่งหน้าเว็บไม่รู้ว่าติดตามใครบ้าง โพสต์ใหม่ของแท็บ Following จะขึ้นเมื่อโหลดใหม่
+      if (activeFeed === "following") return
+      if (selectedTag && !post.tags?.includes(selectedTag)) return
+      setPosts((prev) =>
+        prev.some((p) => p._id === post._id) ? prev : [post, ...prev]
       )
-    }
-
-    return filtered
-  }, [posts, selectedTag, sortType])
+    },
+    "post:like": ({ postId, likeCount }) => updateCounts(postId, { likeCount }),
+    "comment:new": ({ postId, commentCount }) =>
+      updateCounts(postId, { commentCount }),
+  })
 
   const popularPosts = [...posts]
     .sort((a, b) => b.likeCount - a.likeCount)
@@ -112,19 +135,37 @@ export default function Home() {
   return (
     <div className="min-h-[91vh] bg-gray-100">
       <div className="bg-white shadow px-10 py-4 flex gap-8 text-gray-600 font-medium sticky top-0 z-20">
-        {tags.map((tag) => (
+        {[{ name: "", displayName: "All post" }, ...tags].map((tag) => (
           <button
-            key={tag}
-            onClick={() => setSelectedTag(tag)}
+            key={tag.name}
+            onClick={() => {
+              setFeed("all")
+              setSelectedTag(tag.name)
+            }}
             className={`${
-              selectedTag === tag
+              activeFeed === "all" && selectedTag === tag.name
                 ? "text-teal-600 border-b-2 border-teal-600"
                 : ""
             } pb-1`}
           >
-            {tag}
+            {tag.displayName}
           </button>
         ))}
+        {user && (
+          <button
+            onClick={() => {
+              setFeed("following")
+              setSelectedTag("")
+            }}
+            className={`${
+              activeFeed === "following"
+                ? "text-teal-600 border-b-2 border-teal-600"
+                : ""
+            } pb-1 ml-auto`}
+          >
+            Following
+          </button>
+        )}
       </div>
 
       <div className="flex gap-8">
@@ -146,15 +187,11 @@ export default function Home() {
           <div className="flex gap-6 mb-8">
             {popularPosts.map((post) => (
               <div
-                key={post.id}
+                key={post._id}
                 onClick={() => navigate(`/postdetail/${post._id}`)}
                 className="bg-white w-1/3 rounded shadow p-4 cursor-pointer hover:shadow-md transition"
               >
-                <img
-                  src={post.image}
-                  alt={post.title}
-                  className="h-60 w-full object-cover rounded mb-3"
-                />
+                <PostCover post={post} className="h-60 w-full mb-3" />
                 <h3 className="text-teal-600 font-semibold">
                   {post.title}
                 </h3>
@@ -170,58 +207,33 @@ export default function Home() {
                   </div>
                   <div className="flex items-center gap-1">
                     <MessageSquare size={16} />
-                    {post.comments?.length}
+                    {post.commentCount}
                   </div>
                 </div>
               </div>
             ))}
           </div>
 
-          <h2 className="font-semibold mb-4 text-[#474747]">All post</h2>
+          <h2 className="font-semibold mb-4 text-[#474747]">
+            {activeFeed === "following" ? "Following" : "All post"}
+          </h2>
 
-          <div className="space-y-6">
-            {filteredPosts.map((post) => (
-              <div
-                key={post.id}
-                onClick={() => navigate(`/postdetail/${post._id}`)}
-                className="bg-white rounded shadow p-4 flex gap-6 cursor-pointer hover:shadow-md transition"
-              >
-                <img
-                  src={post.image}
-                  alt={post.title}
-                  className="w-1/4 h-60 object-cover rounded"
-                />
-                <div className="flex-1">
-                  <div className="flex justify-between">
-                    <h3 className="text-teal-600 font-semibold mb-2">
-                      {post.title}
-                    </h3>
-                    <p className="text-sm text-gray-600">
-                      {post.owner?.fullname} |{" "}
-                      {new Date(post.created_at).toLocaleDateString()}
-                    </p>                    
-                  </div>
+          {activeFeed === "following" && !loading && posts.length === 0 && (
+            <p className="text-gray-500">
+              Posts from people you follow show up here. Open someone&apos;s profile to follow them.
+            </p>
+          )}
 
-                  <p className="text-gray-600 mb-3">
-                    {post.content}
-                  </p>
-
-                  <div className="flex justify-between text-sm text-gray-600">
-                    <div className="flex items-center gap-4">
-                      <div className="flex items-center gap-1">
-                        <ThumbsUp size={16} />
-                        {post.likeCount}
-                      </div>
-                      <div className="flex items-center gap-1">
-                        <MessageSquare size={16} />
-                        {post.comments?.length}
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              </div>
+          <div className="space-y-6">
+            {posts.map((post) => (
+              <PostListCard key={post._id} post={post} />
             ))}
           </div>
+
+          {hasMore && <div ref={sentinelRef} className="h-10" />}
+          {loading && (
+            <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+          )}
         </div>
       </div>
     </div>
@@ -1,34 +1,146 @@
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useAuth } from "../context/AuthContext";
-import { useNavigate } from "react-router-dom";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import bg from "../assets/image/bg.jpg";
 import { textStyles, COLORS } from "../style/text";
-import { loginApi, registerApi } from "../api/auth";
-import Configs from "../config";
+import {
+  loginApi,
+  registerApi,
+  verifyEmailApi,
+  resendVerificationApi,
+  forgotPasswordApi,
+  resetPasswordApi,
+} from "../api/auth";
+import { getErrorMessage, getFieldErrors } from "../api/errors";
+
+// กฎรหัสผ่านเดียวกับ server (อย่างน้อย 8 ตัว มีทั้งตัวอักษรและตัวเลข) คืนข้อความ error หรือ null
+const passwordError = (password) => {
+  if (!password) return "Password is required";
+  if (password.length < 8) return "Password must be at least 8 characters";
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Password must contain both letters and numbers";
+  }
+  return null;
+};
 
 export default function Login() {
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [isRegister, setIsRegister] = useState(false);
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [loginErrors, setLoginErrors] = useState({});
+
+  // ฝั่ง login มีหลายหน้าจอ: login / forgot (ขอลิงก์รีเซ็ต) / reset (ตั้งรหัสใหม่จากลิงก์) / resend (ขอลิงก์ยืนยันใหม่)
+  // ลิงก์ในเมลพามาที่ /login?reset=<token> หรือ /login?verify=<token>
+  const resetToken = searchParams.get("reset");
+  const [panel, setPanel] = useState(resetToken ? "reset" : "login");
+  const [notice, setNotice] = useState(null); // { type: "success" | "error", text }
+  const [newPassword, setNewPassword] = useState({ password: "", confirmPassword: "" });
+  const [panelErrors, setPanelErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const showPanel = (next) => {
+    setPanel(next);
+    setPanelErrors({});
+  };
+
+  // token ยืนยันใช้ได้ครั้งเดียว เก็บใน ref กัน StrictMode เรียก effect ซ้ำแล้วได้ error รอบสอง
+  const verifyToken = useRef(searchParams.get("verify"));
+  useEffect(() => {
+    const token = verifyToken.current;
+    if (!token) return;
+    verifyToken.current = null;
+
+    verifyEmailApi(token)
+      .then(() =>
+        setNotice({ type: "success", text: "Email verified. You can log in and start posting." })
+      )
+      .catch((error) => {
+        setNotice({ type: "error", text: getErrorMessage(error, "Email verification failed") });
+        setPanel("resend");
+      })
+      .finally(() => setSearchParams({}, { replace: true }));
+  }, [setSearchParams]);
+
+  // ส่งฟอร์มของหน้าจอ forgot / reset / resend แล้วกลับไปหน้า login พร้อมข้อความจาก server
+  const submitPanel = async (request, fallback) => {
+    setSubmitting(true);
+    setPanelErrors({});
+    try {
+      const data = await request();
+      setNotice({ type: "success", text: data.message });
+      showPanel("login");
+      return true;
+    } catch (error) {
+      const fields = getFieldErrors(error);
+      setPanelErrors(
+        Object.keys(fields).length
+          ? fields
+          : { form: getErrorMessage(error, fallback) }
+      );
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleForgot = () => submitPanel(() => forgotPasswordApi(email), "Could not send reset link");
+
+  const handleResend = () => submitPanel(() => resendVerificationApi(email), "Could not send verification email");
+
+  const handleReset = async () => {
+    const newErrors = {};
+    const error = passwordError(newPassword.password);
+    if (error) newErrors.password = error;
+    if (newPassword.password !== newPassword.confirmPassword) {
+      newErrors.confirmPassword = "Passwords do not match";
+    }
+    setPanelErrors(newErrors);
+    if (Object.keys(newErrors).length) return;
+
+    const done = await submitPanel(
+      () => resetPasswordApi(resetToken, newPassword.password),
+      "Could not reset password"
+    );
+    if (done) {
+      setNewPassword({ password: "", confirmPassword: "" });
+      setSearchParams({}, { replace: true });
+    }
+  };
 
   const handleLogin = async () => {
+    setLoginErrors({});
     try {
       const data = await loginApi(email, password);
-      localStorage.setItem(Configs.storage.token, data.token);
       // console.log(data.token)
-      login({
-        username: data.fullname,
-        fullname: data.fullname,
-        tel: data.tel,
-        email: data.email,
-      });
-      console.log("login success : ", data);
-      navigate("/");
+      login(
+        {
+          id: data.id,
+          username: data.fullname,
+          fullname: data.fullname,
+          role: data.role,
+          tel: data.tel,
+          email: data.email,
+          verified: data.verified,
+        },
+        data.token,
+        data.refreshToken
+      );
+      // มาจากหน้าที่ต้อง login (เช่นกด like ตอนยังไม่ login) ให้กลับไปหน้านั้น
+      const from = location.state?.from;
+      navigate(from ? `${from.pathname}${from.search || ""}` : "/", { replace: true });
     } catch (error) {
       console.error("Login failed:", error);
-      alert("Login failed");
+      // field ที่ server บอกว่าผิดแสดงใต้ช่องนั้น ที่เหลือ (เช่นรหัสผ่านไม่ตรง) แสดงใต้ปุ่ม
+      const fields = getFieldErrors(error);
+      setLoginErrors(
+        Object.keys(fields).length
+          ? fields
+          : { form: getErrorMessage(error, "Login failed") }
+      );
     }
   };
   const [registerData, setRegisterData] = useState({
@@ -59,21 +171,20 @@ export default function Login() {
       }
     }
 
-    // 3️⃣ เช็คเบอร์โทร (10 หลัก)
+    // 3️⃣ เช็คเบอร์โทร (มือถือ 10 หลัก หรือเบอร์บ้าน 9 หลัก ขึ้นต้นด้วย 0 ตาม server)
     if (!tel) {
       newErrors.tel = "Phone number is required";
     } else {
-      const phoneRegex = /^[0-9]{10}$/;
-      if (!phoneRegex.test(tel)) {
-        newErrors.tel = "Phone must be 10 digits";
+      const phoneRegex = /^0(?:[689][0-9]{8}|[2-7][0-9]{7})$/;
+      if (!phoneRegex.test(tel.replace(/[\s-]/g, ""))) {
+        newErrors.tel = "Phone must be a Thai phone number, e.g. 0812345678";
       }
     }
 
-    // 4️⃣ เช็ค password
-    if (!password) {
-      newErrors.password = "Password is required";
-    } else if (password.length < 6) {
-      newErrors.password = "Password must be at least 6 characters";
+    // 4️⃣ เช็ค password (อย่างน้อย 8 ตัว มีทั้งตัวอักษรและตัวเลข)
+    const pwError = passwordError(password);
+    if (pwError) {
+      newErrors.password = pwError;
     }
 
     // 5️⃣ เช็ค confirm password
@@ -100,22 +211,22 @@ export default function Login() {
 
       console.log("Register success:", data);
 
-      alert("Register success!");
-
-      // ถ้าอยาก auto login หลังสมัคร
-      localStorage.setItem(Configs.storage.token, data.token);
-
-      login({
-        username: data.fullname,
-        fullname: data.fullname,
-        tel: data.tel,
-        email: data.email,
+      // ต้องยืนยันอีเมลก่อนโพสต์ได้ พากลับไปหน้า login พร้อมบอกให้เช็คเมล
+      setEmail(registerData.email);
+      setNotice({
+        type: "success",
+        text: `Account created. We sent a verification link to ${registerData.email}. Verify your email before posting.`,
       });
-
-      navigate("/");
+      showPanel("login");
+      setIsRegister(false);
     } catch (error) {
       console.error("Register failed:", error);
-      alert("Register failed");
+      const fields = getFieldErrors(error);
+      if (Object.keys(fields).length) {
+        setErrors(fields);
+      } else {
+        alert(getErrorMessage(error, "Register failed"));
+      }
     }
   };
 
@@ -150,33 +261,131 @@ export default function Login() {
             ${isRegister ? "opacity-0 pointer-events-none" : "opacity-100"}
           `}
           >
-            <Input
-              label="Email"
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-            />
+            {notice && (
+              <p
+                className={`text-sm rounded-lg px-3 py-2 mb-2 ${
+                  notice.type === "success"
+                    ? "bg-teal-50 text-teal-700"
+                    : "bg-red-50 text-red-600"
+                }`}
+              >
+                {notice.text}
+              </p>
+            )}
 
-            <Input
-              label="Password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-            />
+            {panel === "login" && (
+              <>
+                <Input
+                  label="Email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  error={loginErrors.email}
+                />
+
+                <Input
+                  label="Password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  error={loginErrors.password}
+                />
+
+                <div className="flex justify-between text-xs text-gray-700 mt-3">
+                  <label>
+                    <input type="checkbox" className="mr-1" /> remember me
+                  </label>
+                  <button onClick={() => showPanel("forgot")} className="hover:underline">
+                    Forgot password
+                  </button>
+                </div>
+
+                <button
+                  onClick={handleLogin}
+                  className={`mt-5 bg-primary hover:bg-teal-600 text-white py-3 rounded-lg font-bold`}
+                >
+                  Login
+                </button>
+                {loginErrors.form && (
+                  <span className="text-red-500 text-xs text-center">
+                    {loginErrors.form}
+                  </span>
+                )}
+                <button
+                  onClick={() => showPanel("resend")}
+                  className="text-xs text-gray-600 hover:underline mt-2"
+                >
+                  Didn't get the verification email?
+                </button>
+              </>
+            )}
 
-            <div className="flex justify-between text-xs text-gray-700 mt-3">
-              <label>
-                <input type="checkbox" className="mr-1" /> remember me
-              </label>
-              <a href="#">Forgot password</a>
-            </div>
+            {(panel === "forgot" || panel === "resend") && (
+              <>
+                <h2 className="text-xl font-bold text-gray-800">
+                  {panel === "forgot" ? "Forgot password" : "Resend verification email"}
+                </h2>
+                <p className="text-sm text-gray-600 mb-2">
+                  {panel === "forgot"
+                    ? "Enter your account email and we will send you a link to choose a new password."
+                    : "Enter your account email and we will send you a new verification link."}
+                </p>
+                <Input
+                  label="Email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  error={panelErrors.email}
+                />
+                <PanelActions
+                  label={panel === "forgot" ? "Send reset link" : "Send verification link"}
+                  onSubmit={panel === "forgot" ? handleForgot : handleResend}
+                  onBack={() => showPanel("login")}
+                  submitting={submitting}
+                  error={panelErrors.form}
+                />
+              </>
+            )}
 
-            <button
-              onClick={handleLogin}
-              className={`mt-5 bg-primary hover:bg-teal-600 text-white py-3 rounded-lg font-bold`}
-            >
-              Login
-            </button>
+            {panel === "reset" && (
+              <>
+                <h2 className="text-xl font-bold text-gray-800">Choose a new password</h2>
+                <Input
+                  label="New password"
+                  type="password"
+                  value={newPassword.password}
+                  onChange={(e) => setNewPassword({ ...newPassword, password: e.target.value })}
+                  error={panelErrors.password}
+                />
+                <Input
+                  label="Confirm new password"
+                  type="password"
+                  value={newPassword.confirmPassword}
+                  onChange={(e) =>
+                    setNewPassword({ ...newPassword, confirmPassword: e.target.value })
+                  }
+                  error={panelErrors.confirmPassword}
+                />
+                <PanelActions
+                  label="Reset password"
+                  onSubmit={handleReset}
+                  onBack={() => {
+                    setSearchParams({}, { replace: true });
+                    showPanel("login");
+                  }}
+                  submitting={submitting}
+                  error={panelErrors.form || panelErrors.token}
+                />
+                {(panelErrors.form || panelErrors.token) && (
+                  <button
+                    onClick={() => showPanel("forgot")}
+                    className="text-xs text-gray-600 hover:underline"
+                  >
+                    Request a new reset link
+                  </button>
+                )}
+              </>
+            )}
           </div>
 
           <div
@@ -321,6 +530,26 @@ export default function Login() {
   );
 }
 
+function PanelActions({ label, onSubmit, onBack, submitting, error }) {
+  return (
+    <>
+      <button
+        onClick={onSubmit}
+        disabled={submitting}
+        className={`mt-5 bg-primary hover:bg-teal-600 text-white py-3 rounded-lg font-bold ${
+          submitting ? "opacity-50 cursor-not-allowed" : ""
+        }`}
+      >
+        {submitting ? "Sending..." : label}
+      </button>
+      {error && <span className="text-red-500 text-xs text-center">{error}</span>}
+      <button onClick={onBack} className="text-xs text-gray-600 hover:underline mt-2">
+        Back to login
+      </button>
+    </>
+  );
+}
+
 function Input({ label, type = "text", value, onChange, error }) {
   return (
     <div className="flex flex-col gap-1">
@@ -0,0 +1,282 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+import {
+  getConversationsApi,
+  startConversationApi,
+  getMessagesApi,
+  sendMessageApi,
+  markConversationReadApi,
+} from "../api/message"
+import { getErrorMessage } from "../api/errors"
+import useEventStream from "../hooks/useEventStream"
+
+const MAX_MESSAGE_LENGTH = 2000
+
+// ให้ MessagesLink บน Header อัปเดตตัวเลขทันที
+const announceUnread = (unreadCount) =>
+  window.dispatchEvent(new CustomEvent("messages:unread", { detail: { unreadCount } }))
+
+// /messages = รายการห้อง, /messages/:id = เปิดห้องนั้น
+// มาจากปุ่ม "Message author" จะมี location.state = { recipient, post } ให้เริ่มคุยใหม่
+export default function Messages() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [conversations, setConversations] = useState([])
+  const [loading, setLoading] = useState(true)
+  // Thread ที่เปิดอยู่ใส่ handler ไว้ที่นี่ ข้อความที่เข้ามาทาง inbox จะส่งต่อให้ (ใช้ stream เดียวทั้งหน้า)
+  const incomingRef = useRef(null)
+
+  const draft = !id ? location.state : null
+
+  const loadConversations = useCallback(() => {
+    getConversationsApi()
+      .then((data) => {
+        setConversations(data.items)
+        announceUnread(data.unreadCount)
+      })
+      .catch((err) => console.error("Fetch conversations error:", err))
+      .finally(() => setLoading(false))
+  }, [])
+
+  useEffect(() => {
+    loadConversations()
+  }, [loadConversations])
+
+  useEventStream(["inbox"], {
+    "message:new": (data) => {
+      incomingRef.current?.(data)
+      loadConversations()
+    },
+  })
+
+  return (
+    <div className="min-h-[91vh] bg-gray-100 px-10 py-8">
+      <div className="bg-white rounded shadow flex h-[75vh]">
+        <div className="w-1/3 border-r overflow-y-auto">
+          <h2 className="font-semibold text-gray-800 px-4 py-3 border-b">Messages</h2>
+          {!loading && conversations.length === 0 && (
+            <p className="text-sm text-gray-500 px-4 py-6">
+              No conversations yet. Open a post and use &quot;Message author&quot; to start one.
+            </p>
+          )}
+          {conversations.map((c) => (
+            <button
+              key={c._id}
+              onClick={() => navigate(`/messages/${c._id}`)}
+              className={`w-full text-left px-4 py-3 border-b flex gap-3 items-center hover:bg-gray-50 ${
+                c._id === id ? "bg-teal-50" : ""
+              }`}
+            >
+              <Avatar user={c.other} />
+              <div className="flex-1 min-w-0">
+                <div className="flex justify-between gap-2">
+                  <span className={`truncate ${c.unreadCount ? "font-semibold text-gray-900" : "text-gray-700"}`}>
+                    {c.other?.fullname || "Deleted user"}
+                  </span>
+                  {c.unreadCount > 0 && (
+                    <span className="shrink-0 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-[10px] rounded-full flex items-center justify-center">
+                      {c.unreadCount}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 truncate">{c.lastMessage?.text}</p>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 flex flex-col">
+          {id ? (
+            <Thread key={id} conversationId={id} incomingRef={incomingRef} onActivity={loadConversations} />
+          ) : draft?.recipient ? (
+            <NewConversation
+              recipient={draft.recipient}
+              post={draft.post}
+              onStarted={(conversationId) => navigate(`/messages/${conversationId}`, { replace: true })}
+            />
+          ) : (
+            <p className="m-auto text-gray-500">Select a conversation</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function Avatar({ user }) {
+  return user?.profileImage ? (
+    <img src={user.profileImage} alt="" className="w-10 h-10 rounded-full object-cover shrink-0" />
+  ) : (
+    <div className="w-10 h-10 rounded-full bg-gray-200 shrink-0" />
+  )
+}
+
+function Thread({ conversationId, incomingRef, onActivity }) {
+  const { user } = useAuth()
+  const [conversation, setConversation] = useState(null)
+  const [messages, setMessages] = useState([]) // เก่าสุดก่อน
+  const [nextCursor, setNextCursor] = useState(null)
+  const [error, setError] = useState(null)
+
+  const markRead = useCallback(() => {
+    markConversationReadApi(conversationId)
+      .then((data) => {
+        announceUnread(data.unreadCount)
+        onActivity()
+      })
+      .catch((err) => console.error("Mark read error:", err))
+  }, [conversationId, onActivity])
+
+  useEffect(() => {
+    getMessagesApi(conversationId)
+      .then((data) => {
+        setConversation(data.conversation)
+        setMessages([...data.items].reverse())
+        setNextCursor(data.nextCursor)
+        markRead()
+      })
+      .catch((err) => setError(getErrorMessage(err, "Failed to load messages")))
+  }, [conversationId, markRead])
+
+  useEffect(() => {
+    incomingRef.current = ({ conversationId: incomingId, message }) => {
+      if (incomingId !== conversationId) return
+      setMessages((prev) => (prev.some((m) => m._id === message._id) ? prev : [...prev, message]))
+      markRead()
+    }
+    return () => {
+      incomingRef.current = null
+    }
+  }, [incomingRef, conversationId, markRead])
+
+  const loadOlder = async () => {
+    try {
+      const data = await getMessagesApi(conversationId, { cursor: nextCursor })
+      setMessages((prev) => [...[...data.items].reverse(), ...prev])
+      setNextCursor(data.nextCursor)
+    } catch (err) {
+      console.error("Fetch messages error:", err)
+    }
+  }
+
+  const handleSend = async (text) => {
+    const message = await sendMessageApi(conversationId, text)
+    setMessages((prev) => [...prev, message])
+    onActivity()
+  }
+
+  if (error) return <p className="m-auto text-red-500">{error}</p>
+
+  const other = conversation?.participants.find((p) => p._id !== user?.id)
+
+  return (
+    <>
+      <div className="px-4 py-3 border-b font-semibold text-gray-800">
+        {other?.fullname || (conversation ? "Deleted user" : "")}
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-2 flex flex-col">
+        {nextCursor && (
+          <button onClick={loadOlder} className="self-center text-sm text-teal-600 hover:underline">
+            Load older messages
+          </button>
+        )}
+        {messages.map((m) => {
+          const mine = m.sender === user?.id
+          return (
+            <div key={m._id} className={`max-w-[70%] ${mine ? "self-end text-right" : "self-start"}`}>
+              {m.post && (
+                <p className="text-xs text-gray-500 mb-1">
+                  About: <Link to={`/postdetail/${m.post._id}`} className="hover:underline">{m.post.title}</Link>
+                </p>
+              )}
+              <p
+                className={`inline-block px-3 py-2 rounded-lg whitespace-pre-wrap text-left ${
+                  mine ? "bg-teal-600 text-white" : "bg-gray-100 text-gray-800"
+                }`}
+              >
+                {m.text}
+              </p>
+              <p className="text-[10px] text-gray-400 mt-0.5">
+                {new Date(m.created_at).toLocaleString()}
+                {mine && m.readAt && " · Seen"}
+              </p>
+            </div>
+          )
+        })}
+      </div>
+
+      <Composer onSend={handleSend} />
+    </>
+  )
+}
+
+function NewConversation({ recipient, post, onStarted }) {
+  const handleSend = async (text) => {
+    const data = await startConversationApi(recipient._id, text, post?._id)
+    onStarted(data.conversation._id)
+  }
+
+  return (
+    <>
+      <div className="px-4 py-3 border-b">
+        <p className="font-semibold text-gray-800">{recipient.fullname}</p>
+        {post && <p className="text-xs text-gray-500">About: {post.title}</p>}
+      </div>
+      <p className="m-auto text-sm text-gray-500 px-6 text-center">
+        Your phone number and email are not shared. {recipient.fullname} only sees your name and message.
+      </p>
+      <Composer onSend={handleSend} />
+    </>
+  )
+}
+
+function Composer({ onSend }) {
+  const [text, setText] = useState("")
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!text.trim() || sending) return
+    try {
+      setSending(true)
+      await onSend(text.trim())
+      setText("")
+      setError(null)
+    } catch (err) {
+      console.error(err)
+      setError(getErrorMessage(err, "Message failed"))
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="border-t p-3">
+      {error && <p className="text-red-500 text-sm mb-2">{error}</p>}
+      <div className="flex gap-2">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) handleSubmit(e)
+          }}
+          maxLength={MAX_MESSAGE_LENGTH}
+          rows="2"
+          className="flex-1 border rounded p-2 resize-none"
+          placeholder="Write a message..."
+        />
+        <button
+          type="submit"
+          disabled={sending || !text.trim()}
+          className="px-4 bg-teal-600 text-white rounded hover:bg-teal-700 disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+    </form>
+  )
+}
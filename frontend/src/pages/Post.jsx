@@ -1,41 +1,132 @@
-import { useEffect, useState } from "react";
+import { useCallback, useState } from "react";
 import { useAuth } from "../context/AuthContext";
-import { getMyPostsApi } from "../api/post";
+import { getMyPostsApi, updatePostApi } from "../api/post";
+import { getTrashApi, restorePostApi } from "../api/trash";
+import { getErrorMessage } from "../api/errors";
 import { FaTrash, FaEdit} from "react-icons/fa";
 import { ThumbsUp, MessageSquare } from "lucide-react"
 import Configs from "../config";
 import client from "../api/client";
 import { useNavigate } from "react-router-dom";
+import useCursorPagination from "../hooks/useCursorPagination";
+import TagChip from "../components/TagChip";
+import TrashedComments from "../components/TrashedComments";
+import { imageSrcSet } from "../utils/image";
+
+const STATUS_TABS = [
+  { value: "", label: "All" },
+  { value: "published", label: "Published" },
+  { value: "scheduled", label: "Scheduled" },
+  { value: "draft", label: "Drafts" },
+  { value: "expired", label: "Expired" },
+  { value: "trash", label: "Trash" },
+];
+
+const STATUS_BADGES = {
+  draft: "bg-gray-200 text-gray-700",
+  scheduled: "bg-amber-100 text-amber-700",
+  published: "bg-teal-100 text-teal-700",
+  expired: "bg-red-100 text-red-600",
+  deleted: "bg-red-500 text-white",
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
 
 export default function Post() {
   const { user } = useAuth();
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
-  useEffect(() => {
-    const fetchPosts = async () => {
-      try {
-        const data = await getMyPostsApi();
-        setPosts(data);
-      } catch (err) {
-        console.error(err);
-        setError("Failed to load posts");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchPosts();
-  }, []);
-
-  if (loading) return <p>Loading...</p>;
-  if (error) return <p className="text-red-500">{error}</p>;
+  const navigate = useNavigate();
+  const [status, setStatus] = useState("");
+
+  const fetchPage = useCallback(
+    (cursor) =>
+      status === "trash"
+        ? getTrashApi({ cursor: cursor || undefined })
+        : getMyPostsApi({ cursor: cursor || undefined, status: status || undefined }),
+    [status]
+  );
+
+  const {
+    items: posts,
+    setItems: setPosts,
+    loading,
+    error,
+    hasMore,
+    sentinelRef,
+  } = useCursorPagination(fetchPage, status);
+
+  // เผยแพร่ทันที หรือดึงกลับไปเป็น draft
+  const handleStatusChange = async (postId, nextStatus) => {
+    try {
+      const updated = await updatePostApi(postId, { status: nextStatus });
+      setPosts((prev) =>
+        status && updated.status !== status
+          ? prev.filter((p) => p._id !== postId)
+          : prev.map((p) => (p._id === postId ? { ...p, ...updated, owner: p.owner } : p))
+      );
+    } catch (err) {
+      console.error(err);
+      alert(getErrorMessage(err, "Update failed"));
+    }
+  };
+
+  const handleDelete = async (postId) => {
+    if (!window.confirm("Move this post to the trash? You can restore it from the Trash tab.")) return;
+    try {
+      await client.delete(Configs.api.del.delete + postId);
+      setPosts((prev) => prev.filter((p) => p._id !== postId));
+    } catch (err) {
+      console.error(err);
+      alert("Delete failed");
+    }
+  };
+
+  const handleRestore = async (postId) => {
+    try {
+      await restorePostApi(postId);
+      setPosts((prev) => prev.filter((p) => p._id !== postId));
+    } catch (err) {
+      console.error(err);
+      alert(getErrorMessage(err, "Restore failed"));
+    }
+  };
+
   // console.log("my post: ", posts)
 
   return (
     <div className="min-h-screen bg-gray-50 px-10 py-8">
-      <h1 className="text-2xl font-bold mb-6">My post - {user?.username}</h1>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">My post - {user?.username}</h1>
+        <button
+          onClick={() => navigate("/newpost")}
+          className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700"
+        >
+          New post
+        </button>
+      </div>
+
+      <div className="flex gap-8 border-b mb-6">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`pb-3 font-medium ${
+              status === tab.value
+                ? "text-primary border-b-2 border-primary"
+                : "text-gray-500"
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && posts.length === 0 && <p>Loading...</p>}
+      {error && posts.length === 0 && (
+        <p className="text-red-500">Failed to load posts</p>
+      )}
+      {!loading && !error && posts.length === 0 && (
+        <p className="text-gray-500">No posts here yet</p>
+      )}
 
       <div className="grid grid-cols-3 gap-6">
         {posts.map((post) => (
@@ -44,8 +135,10 @@ export default function Post() {
             className="bg-white rounded-lg shadow overflow-hidden cursor-pointer hover:shadow-md transition"
           >
             <img
-              onClick={() => navigate(`/postdetail/${post._id}`)}
+              onClick={() => !post.deletedAt && navigate(`/postdetail/${post._id}`)}
               src={post.image}
+              srcSet={imageSrcSet(post.images?.[0])}
+              sizes="33vw"
               alt="post"
               className="h-60 w-full object-cover"
             />
@@ -55,31 +148,70 @@ export default function Post() {
                 <h2 className="text-teal-600 font-semibold text-lg">
                   {post.title}
                 </h2>
-                <div className="flex justify-between items-center gap-5">
-                  <FaEdit
-                    className="text-gray-600 cursor-pointer hover:text-teal-600 transition"
-                    onClick={() => navigate(`/editpost/${post._id}`)}
-                  />                  
-                  <FaTrash
-                    className="text-gray-600 cursor-pointer hover:text-red-500 transition"
-                    onClick={() => handleDelete(post._id)}
-                  />
+                {!post.deletedAt && (
+                  <div className="flex justify-between items-center gap-5">
+                    <FaEdit
+                      className="text-gray-600 cursor-pointer hover:text-teal-600 transition"
+                      onClick={() => navigate(`/editpost/${post._id}`)}
+                    />                  
+                    <FaTrash
+                      className="text-gray-600 cursor-pointer hover:text-red-500 transition"
+                      onClick={() => handleDelete(post._id)}
+                    />
+                  </div>
+                )}
+              </div>
+              {post.deletedAt && (
+                <div className="flex items-center gap-2 mt-2 text-xs">
+                  <span className={`px-2 py-0.5 rounded ${STATUS_BADGES.deleted}`}>Deleted</span>
+                  <span className="text-gray-500">Removed for good {formatDateTime(post.purgeAt)}</span>
                 </div>
+              )}
+              {post.deletedAt && (post.restorable ? (
+                <button
+                  onClick={() => handleRestore(post._id)}
+                  className="mt-2 text-sm text-teal-600 hover:underline"
+                >
+                  Restore
+                </button>
+              ) : (
+                <p className="mt-2 text-sm text-gray-500">Removed by an admin</p>
+              ))}
+              <div className="flex items-center gap-2 mt-2 text-xs">
+                <span className={`px-2 py-0.5 rounded capitalize ${STATUS_BADGES[post.status] || ""}`}>
+                  {post.status}
+                </span>
+                {post.status === "scheduled" && (
+                  <span className="text-gray-500">Publishes {formatDateTime(post.publishAt)}</span>
+                )}
+                {post.expiresAt && post.status !== "expired" && (
+                  <span className="text-gray-500">Expires {formatDateTime(post.expiresAt)}</span>
+                )}
               </div>
+              {!post.deletedAt && (post.status === "draft" || post.status === "scheduled") && (
+                <button
+                  onClick={() => handleStatusChange(post._id, "published")}
+                  className="mt-2 text-sm text-teal-600 hover:underline"
+                >
+                  Publish now
+                </button>
+              )}
+              {!post.deletedAt && post.status === "scheduled" && (
+                <button
+                  onClick={() => handleStatusChange(post._id, "draft")}
+                  className="mt-2 ml-4 text-sm text-gray-500 hover:underline"
+                >
+                  Move to drafts
+                </button>
+              )}
               <p className="text-sm text-gray-600 mt-2 break-words">
                 {post.description}
               </p>
               <div className="flex gap-2 mt-3 flex-wrap text-xs items-center">
                 <span className="text-gray-600 text-sm">Tag</span>
-                {post.tag &&
-                  post.tag.split(",").map((tag, index) => (
-                    <span
-                      key={index}
-                      className="px-3 py-1 bg-teal-600 text-white rounded-full"
-                    >
-                      {tag.trim()}
-                    </span>
-                  ))}
+                {post.tags?.map((tag) => (
+                  <TagChip key={tag} name={tag} />
+                ))}
               </div>
 
               <h2 className="font-semibold text-teal-600">{post.title}</h2>
@@ -92,13 +224,20 @@ export default function Post() {
 
                 <div className="flex items-center gap-2">
                   <MessageSquare size={18}/>
-                  {post.comments.length || 0}
+                  {post.commentCount || 0}
                 </div>
               </div>
             </div>
           </div>
         ))}
       </div>
+
+      {hasMore && <div ref={sentinelRef} className="h-10" />}
+      {loading && posts.length > 0 && (
+        <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+      )}
+
+      {status === "trash" && <TrashedComments />}
     </div>
   );
 }
@@ -1,118 +1,182 @@
 import { useEffect, useState } from "react"
-import { useParams } from "react-router-dom"
+import { useLocation, useNavigate, useParams } from "react-router-dom"
 import client from "../api/client"
 import Configs from "../config"
-import { ThumbsUp, MessageSquare } from "lucide-react"
+import { MessageSquare, Flag, Bookmark, Mail } from "lucide-react"
+import { useAuth } from "../context/AuthContext"
+import { addCommentApi, updateCommentApi, deleteCommentApi } from "../api/comment"
+import { reportPostApi, reportCommentApi } from "../api/report"
+import { reactApi, removeReactionApi } from "../api/reaction"
+import { getErrorMessage } from "../api/errors"
+import ReportModal from "../components/ReportModal"
+import SaveModal from "../components/SaveModal"
+import TagChip from "../components/TagChip"
+import CommentThread from "../components/CommentThread"
+import ImageGallery from "../components/ImageGallery"
+import LoginPrompt from "../components/LoginPrompt"
+import RevisionHistory from "../components/RevisionHistory"
+import ReactionPicker from "../components/ReactionPicker"
+import ReactionsModal from "../components/ReactionsModal"
+import useEventStream from "../hooks/useEventStream"
 
 export default function PostDetail() {
     const { id } = useParams()
+    const { user } = useAuth()
+    const navigate = useNavigate()
+    const location = useLocation()
     const [post, setPost] = useState(null)
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState(null)
     const [userId, setUserId] = useState(null)
-    const [isLiked, setIsLiked] = useState(false)
     const [showCommentModal, setShowCommentModal] = useState(false)
     const [commentText, setCommentText] = useState("")
-    const [profile, setProfile] = useState(null)
+    // null = ปิด, { commentId: null } = รายงานโพสต์, { commentId } = รายงานคอมเมนต์
+    const [reportTarget, setReportTarget] = useState(null)
+    const [showSaveModal, setShowSaveModal] = useState(false)
+    const [showRevisions, setShowRevisions] = useState(false)
+    const [showReactions, setShowReactions] = useState(false)
+    // โพสต์ members ที่เปิดตอนยังไม่ login
+    const [loginRequired, setLoginRequired] = useState(false)
+    // ข้อความของ LoginPrompt ที่เปิดอยู่ (null = ปิด)
+    const [loginPrompt, setLoginPrompt] = useState(null)
 
     useEffect(() => {
         fetchPost()
     }, [id])
 
+    // reaction / คอมเมนต์จากคนอื่นที่เปิดโพสต์นี้อยู่พร้อมกัน
+    useEventStream([`post:${id}`], {
+        "post:like": ({ likeCount, reactionCounts }) => {
+            setPost(prev => prev && { ...prev, likeCount, reactionCounts })
+        },
+        "comment:new": ({ comment, commentCount }) => {
+            setPost(prev => {
+                if (!prev || prev.comments?.some(c => c._id === comment._id)) return prev
+                return { ...prev, comments: [...(prev.comments || []), comment], commentCount }
+            })
+        },
+    })
+
     const fetchPost = async () => {
         try {
             setLoading(true)
+            // คนที่ยังไม่ login เปิดโพสต์ public ได้ แต่ไม่มี profile ให้โหลด
             const [postRes, profileRes] = await Promise.all([
                 client.get(Configs.api.get.post + `/${id}`),
-                client.get(Configs.api.get.profile),
+                user ? client.get(Configs.api.get.profile) : null,
             ])
 
             setPost(postRes.data)
-            setProfile(profileRes.data)
-            const currentUserId = profileRes.data._id
+            const currentUserId = profileRes ? profileRes.data._id : null
             setUserId(currentUserId)
-
-            if (postRes.data.likes?.includes(currentUserId)) {
-                setIsLiked(true)
-            } else {
-                setIsLiked(false)
-            }
         } catch (err) {
             console.error(err)
-            setError("Failed to load post")
+            if (err.response?.data?.code === "LOGIN_REQUIRED") {
+                setLoginRequired(true)
+            } else {
+                setError("Failed to load post")
+            }
         } finally {
             setLoading(false)
         }
     }
 
+    // โหลดคอมเมนต์ใหม่จาก server หลังแก้ไข เพราะ server อาจย้าย reply ไปชั้นอื่น หรือเหลือไว้เป็น [deleted]
+    const refreshComments = async () => {
+        const res = await client.get(Configs.api.get.post + `/${id}`)
+        setPost(prev => ({ ...prev, comments: res.data.comments, commentCount: res.data.commentCount }))
+    }
+
+    // like / คอมเมนต์ / รายงานต้อง login ก่อน ถ้ายังไม่ login ให้ถามก่อนแทน
+    const requireLogin = (action, fn) => (user ? fn() : setLoginPrompt(action))
+
     const handleSubmitComment = async () => {
         try {
             if (!commentText.trim()) return
-            await client.post(
-                Configs.api.post.comment + post._id + "/comment",
-                { text: commentText }
-            )
-
-            setPost(prev => ({
-                ...prev,
-                comments: [
-                    ...prev.comments,
-                    {
-                    text: commentText,
-                    owner: { fullname: profile.fullname },
-                    created_at: new Date().toISOString()
-                    }
-                ]
-            }))
+            await addCommentApi(post._id, commentText)
+            await refreshComments()
             setCommentText("")
             setShowCommentModal(false)
         } catch (err) {
             console.error(err)
+            alert(getErrorMessage(err, "Comment failed"))
         }
     }
 
-    const handleLike = async () => {
-        try {
-            if (!post || !userId) return
+    const handleReply = async (parentId, text) => {
+        await addCommentApi(post._id, text, parentId)
+        await refreshComments()
+    }
 
-            await client.post(
-            Configs.api.post.like + post._id + "/like"
+    const handleEditComment = async (commentId, text) => {
+        const updated = await updateCommentApi(post._id, commentId, text)
+        setPost(prev => ({
+            ...prev,
+            comments: prev.comments.map(c =>
+                c._id === commentId ? { ...c, text: updated.text, updated_at: updated.updated_at } : c
             )
+        }))
+    }
 
-            setPost(prev => {
-                const alreadyLiked = prev.likes?.includes(userId)
+    const handleDeleteComment = async (commentId) => {
+        if (!window.confirm("Delete this comment? You can restore it from the Trash tab on My post.")) return
+        try {
+            await deleteCommentApi(post._id, commentId)
+            await refreshComments()
+        } catch (err) {
+            console.error(err.response?.data || err)
+        }
+    }
 
-                const updatedLikes = alreadyLiked
-                    ? prev.likes.filter(id => id !== userId)
-                    : [...prev.likes, userId]
+    const handleReport = async (reason, details) => {
+        if (reportTarget.commentId) {
+            await reportCommentApi(post._id, reportTarget.commentId, reason, details)
+        } else {
+            await reportPostApi(post._id, reason, details)
+        }
+        alert("Thanks, our admins will review this report")
+    }
 
-                return {
-                    ...prev,
-                    likes: updatedLikes,
-                    likeCount: updatedLikes.length
-                }
-            })
-            setIsLiked(prev => !prev)
+    // type = null คือเอา reaction ของเราออก
+    const handleReact = async (type) => {
+        try {
+            if (!post || !userId) return
+
+            const { reaction, likeCount, reactionCounts } = type
+                ? await reactApi(post._id, type)
+                : await removeReactionApi(post._id)
 
+            setPost(prev => ({ ...prev, myReaction: reaction, likeCount, reactionCounts }))
         } catch (err) {
             console.error(err.response?.data || err)
         }
     }
 
     if (loading) return <p className="p-10">Loading...</p>
+    if (loginRequired) {
+        return (
+            <div className="p-10 text-center">
+                <p className="text-gray-700 mb-4">This post is for members only. Log in to read it.</p>
+                <button
+                    onClick={() => navigate("/login", { state: { from: location } })}
+                    className="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 transition"
+                >
+                    Log in
+                </button>
+            </div>
+        )
+    }
     if (error) return <p className="p-10 text-red-500">{error}</p>
     if (!post) return null
 
-    const tags = post.tag ? post.tag.split(",") : []
-
     return (
         <div className="min-h-[91vh] bg-gray-100">
             <div className="bg-white p-10 shadow-sm">
                 <div className="flex gap-10 min-h-[40vh] relative items-center">
-                <img
-                    src={post.image}
-                    alt={post.title}
-                    className="h-[35vh] w-[20vw] object-cover rounded"
+                {/* โพสต์เก่าที่ยังไม่ได้ย้ายไปแกลเลอรีมีแค่ image */}
+                <ImageGallery
+                    images={post.images?.length ? post.images : post.image ? [{ url: post.image, alt: post.title }] : []}
+                    className="w-[20vw] shrink-0"
                 />
                 <div className="flex-1">
                     <div className="h-60">
@@ -121,44 +185,106 @@ export default function PostDetail() {
                         </h1>
                     
                         <div className="flex justify-between gap-8 items-start">    
-                            <p className="text-gray-600 mt-1">
+                            <p
+                                onClick={() => post.owner?._id && navigate(`/user/${post.owner._id}`)}
+                                className="text-gray-600 mt-1 cursor-pointer hover:underline"
+                            >
                             {post.owner?.fullname}
                             </p>
                             <p className="text-gray-500 text-sm">
+                                {post.visibility === "members" && (
+                                    <span className="mr-2 px-2 py-0.5 rounded bg-gray-100 text-gray-600 text-xs">
+                                        Members only
+                                    </span>
+                                )}
+                                {/* draft / scheduled เห็นได้แค่เจ้าของกับ admin, expired ยังเปิดจากลิงก์ได้ */}
+                                {post.status === "draft" && (
+                                    <span className="mr-2 px-2 py-0.5 rounded bg-gray-200 text-gray-700 text-xs">
+                                        Draft
+                                    </span>
+                                )}
+                                {post.status === "scheduled" && (
+                                    <span className="mr-2 px-2 py-0.5 rounded bg-amber-100 text-amber-700 text-xs">
+                                        Scheduled for {new Date(post.publishAt).toLocaleString()}
+                                    </span>
+                                )}
+                                {post.status === "expired" && (
+                                    <span className="mr-2 px-2 py-0.5 rounded bg-red-100 text-red-600 text-xs">
+                                        Expired
+                                    </span>
+                                )}
                                 {new Date(post.created_at).toLocaleDateString()}
+                                {post.updated_at && (
+                                    <button
+                                        onClick={() => setShowRevisions(true)}
+                                        title={`Last edited ${new Date(post.updated_at).toLocaleString()}`}
+                                        className="ml-2 hover:underline"
+                                    >
+                                        (edited)
+                                    </button>
+                                )}
                             </p>
                         </div>  
                         <p className="text-gray-700 mt-6 leading-relaxed">{post.content}</p>                
                     </div>
                     
                     <div className="flex gap-2 mt-6 flex-wrap">
-                    {tags.map((tag, index) => (
-                        <span
-                        key={index}
-                        className="px-3 py-1 bg-primary text-white text-xs rounded-full"
-                        >
-                        {tag}
-                        </span>
+                    {post.tags?.map((tag) => (
+                        <TagChip key={tag} name={tag} />
                     ))}
                     </div>
 
-                    {/* Like / Comment Count */}
+                    {/* Reaction / Comment Count */}
                     <div className="flex gap-8 mt-4 text-gray-600">
-                    <div className="flex items-center gap-2">
-                        <ThumbsUp
-                            size={22}
-                            onClick={handleLike}
-                            className={`cursor-pointer select-none transition ${
-                                isLiked ? "fill-teal-600 text-teal-600" : "text-gray-600"
-                            }`}
-                        />
-                        {post.likeCount}
-                    </div>
+                    <ReactionPicker
+                        myReaction={post.myReaction}
+                        counts={post.reactionCounts}
+                        total={post.likeCount}
+                        onReact={(type) => requireLogin("react to this post", () => handleReact(type))}
+                        onShowBreakdown={() => setShowReactions(true)}
+                    />
 
                     <div className="flex items-center gap-2">
                         <MessageSquare size={22} />
-                        {post.comments?.length || 0}
+                        {post.commentCount || 0}
                     </div>
+
+                    <button
+                        onClick={() => requireLogin("save this post", () => setShowSaveModal(true))}
+                        className={`flex items-center gap-2 transition ${
+                            post.saved ? "text-teal-600" : "text-gray-500 hover:text-teal-600"
+                        }`}
+                    >
+                        <Bookmark size={20} className={post.saved ? "fill-teal-600" : ""} />
+                        {post.saved ? "Saved" : "Save"}
+                    </button>
+
+                    {post.owner?._id && post.owner._id !== userId && (
+                        <button
+                            onClick={() => requireLogin("message the author", () =>
+                                navigate("/messages", {
+                                    state: {
+                                        recipient: post.owner,
+                                        post: { _id: post._id, title: post.title },
+                                    },
+                                })
+                            )}
+                            className="flex items-center gap-2 text-gray-500 hover:text-teal-600 transition"
+                        >
+                            <Mail size={20} />
+                            Message author
+                        </button>
+                    )}
+
+                    {post.owner?._id !== userId && (
+                        <button
+                            onClick={() => requireLogin("report this post", () => setReportTarget({ commentId: null }))}
+                            className="flex items-center gap-2 text-gray-500 hover:text-red-500 transition"
+                        >
+                            <Flag size={20} />
+                            Report
+                        </button>
+                    )}
                     </div>
 
                 </div>
@@ -172,7 +298,7 @@ export default function PostDetail() {
                     </h2>
 
                     <button
-                        onClick={() => setShowCommentModal(true)}
+                        onClick={() => requireLogin("comment", () => setShowCommentModal(true))}
                         className="bg-teal-600 text-white px-2 py-1 rounded hover:bg-teal-700 transition"
                     >
                         + comment
@@ -183,31 +309,51 @@ export default function PostDetail() {
                     <p className="text-gray-800">No comments yet</p>
                 )}
 
-                <div className="space-y-6">
-                    {post.comments?.map((comment, index) => (
-                        <div
-                        key={index}
-                        className="bg-white p-6 rounded-lg border shadow"
-                        >
-                        <div className="flex justify-between mb-3">
-                            <div className="flex items-center gap-3">
-                            <div className="w-6 h-6 bg-gray-400 rounded-full" />
-                            <span className="font-medium text-gray-800">
-                                {comment.owner?.fullname}
-                            </span>
-                            </div>
-
-                            <span className="text-gray-500 text-sm">
-                            {new Date(comment.created_at).toLocaleDateString()}
-                            </span>
-                        </div>
-                        <p className="text-gray-700 text-sm leading-relaxed">
-                            {comment.text}
-                        </p>
-                        </div>
-                    ))}
-                </div>
+                <CommentThread
+                    comments={post.comments || []}
+                    userId={userId}
+                    isAdmin={user?.role === "admin"}
+                    onReply={handleReply}
+                    onEdit={handleEditComment}
+                    onDelete={handleDeleteComment}
+                    onReport={(commentId) => setReportTarget({ commentId })}
+                    requireLogin={requireLogin}
+                />
             </div>
+            {loginPrompt && (
+                <LoginPrompt action={loginPrompt} onClose={() => setLoginPrompt(null)} />
+            )}
+            {showSaveModal && (
+                <SaveModal
+                    postId={post._id}
+                    current={{ saved: post.saved, collection: post.savedCollection }}
+                    onChange={({ saved, collection }) =>
+                        setPost(prev => ({ ...prev, saved, savedCollection: collection }))
+                    }
+                    onClose={() => setShowSaveModal(false)}
+                />
+            )}
+            {showRevisions && (
+                <RevisionHistory
+                    postId={post._id}
+                    canRevert={post.owner?._id === userId || user?.role === "admin"}
+                    // ใช้แค่ field ที่ย้อนได้ owner / comments ในผลลัพธ์ไม่ได้ populate
+                    onReverted={({ title, content, tags, image, images, visibility, updated_at }) =>
+                        setPost(prev => ({ ...prev, title, content, tags, image, images, visibility, updated_at }))
+                    }
+                    onClose={() => setShowRevisions(false)}
+                />
+            )}
+            {showReactions && (
+                <ReactionsModal postId={post._id} onClose={() => setShowReactions(false)} />
+            )}
+            {reportTarget && (
+                <ReportModal
+                    title={reportTarget.commentId ? "Report comment" : "Report post"}
+                    onSubmit={handleReport}
+                    onClose={() => setReportTarget(null)}
+                />
+            )}
             {showCommentModal && (
                 <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
                     <div className="bg-white p-6 rounded-lg w-[400px] shadow-lg">
@@ -1,60 +1,130 @@
 import { useAuth } from "../context/AuthContext"
-import { useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
 import { IoCallOutline, IoMailOutline } from "react-icons/io5"
-<<<<<<< HEAD
-import { textStyles,COLORS } from "../style/text"
-=======
 import client from "../api/client"
 import Configs from "../config"
 import { useNavigate } from "react-router-dom"
-import { textStyles } from "../style/text"
+import { getErrorMessage, getFieldErrors } from "../api/errors"
+import { getSavedPostsApi, getCollectionsApi, renameCollectionApi, deleteCollectionApi } from "../api/saved"
+import useCursorPagination from "../hooks/useCursorPagination"
+import PostListCard from "../components/PostListCard"
 import bg from "../assets/image/bg.jpg"
->>>>>>> c953c39 (V1.0.0 pretest)
+
+const TABS = [
+  { key: "liked", label: "Liked post", url: Configs.api.get.likedpost },
+  { key: "commented", label: "Commented post", url: Configs.api.get.commentedpost },
+  { key: "saved", label: "Saved" },
+]
 
 export default function Profile() {
-  const { user } = useAuth()
+  const { user, login } = useAuth()
+  const navigate = useNavigate()
   const [activeTab, setActiveTab] = useState("liked")
+  const [profile, setProfile] = useState(null)
+  const [uploading, setUploading] = useState(false)
+  const fileInputRef = useRef(null)
+  // แท็บ Saved: รายการ collection และอันที่เลือกอยู่ ("" = ทั้งหมด)
+  const [collections, setCollections] = useState([])
+  const [savedTotal, setSavedTotal] = useState(0)
+  const [collectionId, setCollectionId] = useState("")
+
+  useEffect(() => {
+    client
+      .get(Configs.api.get.profile)
+      .then((res) => setProfile(res.data))
+      .catch((err) => console.error("Fetch profile error:", err))
+  }, [])
+
+  const loadCollections = useCallback(() => {
+    getCollectionsApi()
+      .then((data) => {
+        setCollections(data.collections)
+        setSavedTotal(data.total)
+      })
+      .catch((err) => console.error("Fetch collections error:", err))
+  }, [])
+
+  useEffect(() => {
+    if (activeTab === "saved") loadCollections()
+  }, [activeTab, loadCollections])
+
+  const fetchPage = useCallback(
+    (cursor) => {
+      if (activeTab === "saved") {
+        return getSavedPostsApi({
+          cursor: cursor || undefined,
+          collection: collectionId || undefined,
+        })
+      }
+      const tab = TABS.find((t) => t.key === activeTab)
+      return client
+        .get(tab.url, { params: { cursor: cursor || undefined } })
+        .then((res) => res.data)
+    },
+    [activeTab, collectionId]
+  )
+
+  const { items: posts, loading, error, hasMore, sentinelRef } =
+    useCursorPagination(fetchPage, `${activeTab}|${collectionId}`)
+
+  const selectedCollection = collections.find((c) => c._id === collectionId)
+
+  const handleRenameCollection = async () => {
+    const name = window.prompt("Rename collection", selectedCollection.name)?.trim()
+    if (!name || name === selectedCollection.name) return
+    try {
+      await renameCollectionApi(collectionId, name)
+      loadCollections()
+    } catch (err) {
+      alert(getFieldErrors(err).name || getErrorMessage(err, "Failed to rename collection"))
+    }
+  }
+
+  // โพสต์ข้างในยังบันทึกไว้อยู่ แค่ไม่อยู่ใน collection ไหน
+  const handleDeleteCollection = async () => {
+    if (!window.confirm(`Delete "${selectedCollection.name}"? Its posts stay saved.`)) return
+    try {
+      await deleteCollectionApi(collectionId)
+      setCollectionId("")
+      loadCollections()
+    } catch (err) {
+      alert(getErrorMessage(err, "Failed to delete collection"))
+    }
+  }
+
+  const handleFileSelect = () => {
+    if (!uploading) fileInputRef.current?.click()
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ""
+    if (!file) return
+
+    const formData = new FormData()
+    formData.append("profileImage", file)
+
+    try {
+      setUploading(true)
+      const res = await client.put(Configs.api.put.updateProfile, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      })
+      setProfile((prev) => ({ ...prev, ...res.data }))
+      // Header และหน้าอื่นอ่านรูปจาก user ใน AuthContext
+      login({ ...user, profileImage: res.data.profileImage })
+    } catch (err) {
+      console.error("Upload profile image error:", err)
+      alert(getErrorMessage(err, "Failed to change profile image"))
+    } finally {
+      setUploading(false)
+    }
+  }
 
   return (
-<<<<<<< HEAD
-        <div className="min-h-screen bg-white">
-          <div className="h-56 bg-gray-100" />
-          <div className="bg-white shadow relative">
-            <div className="max-w-6xl mx-auto px-8 py-6 relative">
-              <div className="absolute -top-20 left-8">
-                <img
-                  alt="profile"
-                  className="w-40 h-40 rounded-full border-4 border-white object-cover"
-                />
-                <p className="absolute -bottom-10 left-8 text-sm text-gray-600 mt-2 cursor-pointer hover:underline">
-                  Change profile
-                </p>
-              </div>
-              <div className="ml-56 flex justify-between items-start">
-                <div>
-                  <h1 className="text-2xl font-bold text-gray-800">
-                    @{user?.username}
-                  </h1>
-
-                  <p className="text-gray-600 mt-1">
-                    {user?.fullname}
-                  </p>
-                  <div className="flex gap-8 mt-4 text-gray-600 text-sm">
-                    <div className="flex items-center gap-2">
-                      <IoCallOutline size={18}/>
-                      {user?.tel}
-                    </div>
-
-                    <div className="flex items-center gap-2">
-                      <IoMailOutline size={18} />
-                      {user?.email}
-                    </div>
-                  </div>
-=======
     <div className="min-h-screen bg-white">
       <div className="relative h-56">
         <div className="absolute inset-0 bg-[#47A19C]/50" />
-        <div className="h-56 bg-gray-100" style={{ backgroundImage: `url(${bg})`}}/>              
+        <div className="h-56 bg-gray-100" style={{ backgroundImage: `url(${bg})`}}/>
       </div>
 
       <div className="bg-white shadow relative">
@@ -63,9 +133,7 @@ export default function Profile() {
           <div className="absolute -top-20 left-8">
             <div className="relative">
               <img
-                src={
-                  profile?.profileImage
-                }
+                src={profile?.profileImage || user?.profileImage}
                 alt="profile"
                 className={`w-40 h-40 rounded-full border-4 border-white object-cover ${
                   uploading ? "opacity-50" : ""
@@ -92,100 +160,109 @@ export default function Profile() {
           <div className="ml-56 flex justify-between items-start">
             <div>
               <h1 className="text-2xl font-bold text-gray-800">
-                @{profile?.fullname}
+                @{profile?.fullname || user?.fullname}
               </h1>
 
               <p className="text-gray-600 mt-1">
-                {profile?.fullname}
+                {profile?.fullname || user?.fullname}
               </p>
 
+              <div className="flex gap-6 mt-2 text-sm text-gray-600">
+                <span>
+                  <span className="font-semibold text-gray-800">{profile?.followerCount ?? 0}</span> followers
+                </span>
+                <span>
+                  <span className="font-semibold text-gray-800">{profile?.followingCount ?? 0}</span> following
+                </span>
+              </div>
+
               <div className="flex gap-8 mt-4 text-gray-600 text-sm">
                 <div className="flex items-center gap-2">
                   <IoCallOutline size={18} />
-                  {profile?.tel}
+                  {profile?.tel || user?.tel}
                 </div>
 
                 <div className="flex items-center gap-2">
                   <IoMailOutline size={18} />
-                  {profile?.email}
->>>>>>> c953c39 (V1.0.0 pretest)
+                  {profile?.email || user?.email}
                 </div>
-                <button className="text-primary font-medium hover:underline">
-                  Edit profile
-                </button>
               </div>
             </div>
+
+            <div className="flex flex-col items-end gap-2">
+              <button className="text-primary font-medium hover:underline">
+                Edit profile
+              </button>
+              {user?.id && (
+                <button
+                  onClick={() => navigate(`/user/${user.id}`)}
+                  className="text-sm text-gray-500 hover:underline"
+                >
+                  View public profile
+                </button>
+              )}
+            </div>
           </div>
-          <div className="flex gap-8 border-b mt-10 mx-10">
-            <button
-              onClick={() => setActiveTab("liked")}
-              className={`pb-3 font-medium ${
-                activeTab === "liked"
-                  ? "text-primary border-b-2 border-primary"
-                  : "text-gray-500"
-              }`}
-            >
-              Liked post
-            </button>
+        </div>
+
+        <div className="flex gap-8 border-b mt-10 mx-10">
+          {TABS.map((tab) => (
             <button
-              onClick={() => setActiveTab("commented")}
+              key={tab.key}
+              onClick={() => setActiveTab(tab.key)}
               className={`pb-3 font-medium ${
-                activeTab === "commented"
+                activeTab === tab.key
                   ? "text-primary border-b-2 border-primary"
                   : "text-gray-500"
               }`}
             >
-              Commented post
+              {tab.label}
             </button>
-          </div>
+          ))}
+        </div>
 
-          <div className="mt-8 space-y-6 mx-10">
-            {activeTab === "liked" && (
-              <>
-                <PostCard />
-                <PostCard />
-              </>
-            )}
-
-            {activeTab === "commented" && (
-              <>
-                <PostCard />
-              </>
-            )}
-          </div> 
-      </div>
-  )
-}
+        <div className="mt-8 space-y-6 mx-10 pb-10">
+          {activeTab === "saved" && (
+            <div className="flex items-center gap-2 flex-wrap">
+              {[{ _id: "", name: "All", count: savedTotal }, ...collections].map((c) => (
+                <button
+                  key={c._id || "all"}
+                  onClick={() => setCollectionId(c._id)}
+                  className={`px-3 py-1 rounded-full text-sm border ${
+                    collectionId === c._id
+                      ? "bg-primary text-white border-primary"
+                      : "text-gray-600 hover:border-primary"
+                  }`}
+                >
+                  {c.name} ({c.count})
+                </button>
+              ))}
+              {selectedCollection && (
+                <div className="ml-auto flex gap-4 text-sm">
+                  <button onClick={handleRenameCollection} className="text-gray-500 hover:underline">
+                    Rename
+                  </button>
+                  <button onClick={handleDeleteCollection} className="text-red-500 hover:underline">
+                    Delete collection
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
 
-function PostCard() {
-  return (
-<<<<<<< HEAD
-    <div className="bg-white rounded-lg shadow-sm border p-4 flex gap-4">
-=======
-    <div
-      onClick={() => navigate(`/postdetail/${post._id}`)}
-      className="bg-white rounded-lg shadow-sm border p-4 flex gap-4 cursor-pointer hover:shadow-md transition"
-    >
->>>>>>> c953c39 (V1.0.0 pretest)
-      <img
-        className="w-40 h-28 rounded-md object-cover"
-        alt=""
-      />
-      <div className="flex-1">
-        <h3 className={`font-semibold text-primary`}>Header</h3>
-        <p className={`text-gray-600 text-sm mt-2`}>
-          text text text text text text text text text text text text text text text
-        </p>
-        <div className="flex gap-2 mt-3 text-xs">
-          <span className={`${textStyles.subheader} px-3 py-1 bg-primary text-white rounded-full`}>
-            Sport
-          </span>
-          <span className={`${textStyles.subheader} px-3 py-1 bg-primary text-white rounded-full`}>
-            Entertainment
-          </span>
-          <span className={`${textStyles.subheader} px-3 py-1 bg-primary text-white rounded-full`}>
-            News
-          </span>
+          {error && <p className="text-red-500">Failed to load posts</p>}
+          {!loading && !error && posts.length === 0 && (
+            <p className="text-gray-500">No posts here yet</p>
+          )}
+
+          {posts.map((post) => (
+            <PostListCard key={post._id} post={post} />
+          ))}
+
+          {hasMore && <div ref={sentinelRef} className="h-10" />}
+          {loading && (
+            <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+          )}
         </div>
       </div>
     </div>
@@ -1,26 +1,206 @@
-import { useAuth } from "../context/AuthContext"
-import { useLocation } from "react-router-dom"
+import { useCallback, useState } from "react"
+import { useLocation, useNavigate } from "react-router-dom"
+import { ThumbsUp, MessageSquare } from "lucide-react"
+import { searchPostsApi } from "../api/get"
+import useCursorPagination from "../hooks/useCursorPagination"
+import useTags from "../hooks/useTags"
+import { imageSrcSet } from "../utils/image"
+
+const FIELD_LABELS = {
+  title: "Title",
+  content: "Content",
+  comment: "Comment",
+}
 
 export default function Search() {
-  const { user } = useAuth()
   const location = useLocation()
+  const navigate = useNavigate()
+  const tags = useTags()
 
   const query = new URLSearchParams(location.search)
-  const keyword = query.get("q")
+  const keyword = query.get("q") || ""
+
+  const [filters, setFilters] = useState({ tag: "", author: "", from: "", to: "" })
+  const [appliedFilters, setAppliedFilters] = useState(filters)
+
+  const fetchPage = useCallback(
+    (cursor) => {
+      if (!keyword.trim()) return Promise.resolve({ items: [], nextCursor: null })
+      return searchPostsApi({
+        q: keyword,
+        cursor: cursor || undefined,
+        tag: appliedFilters.tag || undefined,
+        author: appliedFilters.author.trim() || undefined,
+        from: appliedFilters.from || undefined,
+        // ให้ "ถึงวันที่" รวมทั้งวัน
+        to: appliedFilters.to ? `${appliedFilters.to}T23:59:59.999` : undefined,
+      })
+    },
+    [keyword, appliedFilters]
+  )
+
+  const { items: results, loading, error, hasMore, sentinelRef } =
+    useCursorPagination(fetchPage, `${keyword}|${JSON.stringify(appliedFilters)}`)
+
+  const handleFilter = (e) => {
+    e.preventDefault()
+    setAppliedFilters(filters)
+  }
 
   return (
-    <div className="min-h-screen flex flex-col items-center justify-center bg-white">
-      <h1 className="text-2xl font-bold mb-2">
-        Welcome {user?.username}
-      </h1>
-
-      <p className="text-gray-600 mb-2">
-        This is your Search page
-      </p>
-
-      <p className="text-teal-600 font-semibold">
-        keyword = {keyword}
-      </p>
+    <div className="min-h-[91vh] bg-gray-100">
+      <div className="flex gap-8">
+        <form
+          onSubmit={handleFilter}
+          className="w-1/4 bg-white p-6 shadow min-h-[85.5vh] flex flex-col gap-3"
+        >
+          <h2 className="font-semibold mb-1">Filters</h2>
+
+          <label className="text-sm text-gray-500">Tag</label>
+          <select
+            value={filters.tag}
+            onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+            className="w-full border rounded px-2 py-1"
+          >
+            <option value="">All tags</option>
+            {tags.map((tag) => (
+              <option key={tag.name} value={tag.name}>
+                {tag.displayName}
+              </option>
+            ))}
+          </select>
+
+          <label className="text-sm text-gray-500">Author</label>
+          <input
+            type="text"
+            value={filters.author}
+            onChange={(e) => setFilters({ ...filters, author: e.target.value })}
+            placeholder="Author name"
+            className="w-full border rounded px-2 py-1"
+          />
+
+          <label className="text-sm text-gray-500">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className="w-full border rounded px-2 py-1"
+          />
+
+          <label className="text-sm text-gray-500">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className="w-full border rounded px-2 py-1"
+          />
+
+          <button
+            type="submit"
+            className="mt-2 bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 transition"
+          >
+            Apply
+          </button>
+        </form>
+
+        <div className="w-3/4 py-8 pr-8">
+          <h2 className="font-semibold mb-4 text-[#474747]">
+            Results for “{keyword}”
+          </h2>
+
+          {error && <p className="text-red-500 mb-4">Search failed</p>}
+          {!loading && !error && results.length === 0 && (
+            <p className="text-gray-500">No posts found</p>
+          )}
+
+          <div className="space-y-6">
+            {results.map((post) => (
+              <div
+                key={post._id}
+                onClick={() => navigate(`/postdetail/${post._id}`)}
+                className="bg-white rounded shadow p-4 flex gap-6 cursor-pointer hover:shadow-md transition"
+              >
+                {post.image && (
+                  <img
+                    src={post.image}
+                    srcSet={imageSrcSet(post.images?.[0])}
+                    sizes="20vw"
+                    alt={post.title}
+                    className="w-1/5 h-40 object-cover rounded"
+                  />
+                )}
+                <div className="flex-1">
+                  <div className="flex justify-between">
+                    <h3 className="text-teal-600 font-semibold mb-2">
+                      <Highlighted
+                        text={post.title}
+                        highlights={
+                          post.snippets?.find((s) => s.field === "title")?.highlights
+                        }
+                      />
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      {post.owner?.fullname} |{" "}
+                      {new Date(post.created_at).toLocaleDateString()}
+                    </p>
+                  </div>
+
+                  <div className="space-y-1 mb-3">
+                    {post.snippets
+                      ?.filter((s) => s.field !== "title")
+                      .map((snippet) => (
+                        <p key={snippet.field} className="text-gray-600 text-sm">
+                          <span className="text-xs text-gray-400 mr-2">
+                            {FIELD_LABELS[snippet.field]}
+                          </span>
+                          <Highlighted
+                            text={snippet.text}
+                            highlights={snippet.highlights}
+                          />
+                        </p>
+                      ))}
+                  </div>
+
+                  <div className="flex items-center gap-4 text-sm text-gray-600">
+                    <div className="flex items-center gap-1">
+                      <ThumbsUp size={16} />
+                      {post.likeCount}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <MessageSquare size={16} />
+                      {post.commentCount}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {hasMore && <div ref={sentinelRef} className="h-10" />}
+          {loading && (
+            <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+          )}
+        </div>
+      </div>
     </div>
   )
 }
+
+// แสดงข้อความโดยครอบช่วง [start, end) ที่ backend ส่งมาด้วย <mark>
+function Highlighted({ text, highlights = [] }) {
+  const parts = []
+  let last = 0
+
+  highlights.forEach(([start, end], index) => {
+    if (start > last) parts.push(text.slice(last, start))
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-gray-800 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    )
+    last = end
+  })
+  if (last < text.length) parts.push(text.slice(last))
+
+  return <>{parts}</>
+}
@@ -0,0 +1,56 @@
+import { useCallback } from "react"
+import { useParams } from "react-router-dom"
+import { getPostsApi } from "../api/get"
+import useCursorPagination from "../hooks/useCursorPagination"
+import useTags from "../hooks/useTags"
+import PostListCard from "../components/PostListCard"
+import { COLORS } from "../style/text"
+
+export default function TagPage() {
+  const { name } = useParams()
+  const tag = useTags().find((t) => t.name === name.toLowerCase())
+
+  const fetchPage = useCallback(
+    (cursor) =>
+      getPostsApi({ tag: name, order_by: "post_date", cursor: cursor || undefined }),
+    [name]
+  )
+
+  const { items: posts, loading, error, hasMore, sentinelRef } =
+    useCursorPagination(fetchPage, name)
+
+  return (
+    <div className="min-h-[91vh] bg-gray-100 px-10 py-8">
+      <div className="flex items-center gap-4 mb-6">
+        <span
+          className="w-4 h-4 rounded-full"
+          style={{ backgroundColor: tag?.color || COLORS.GREEN }}
+        />
+        <h1 className="text-2xl font-bold text-gray-800">
+          #{tag?.displayName || name}
+        </h1>
+        {tag && (
+          <span className="text-gray-500 text-sm">
+            {tag.usageCount} posts
+          </span>
+        )}
+      </div>
+
+      {error && <p className="text-red-500 mb-4">Failed to load posts</p>}
+      {!loading && !error && posts.length === 0 && (
+        <p className="text-gray-500">No posts with this tag yet</p>
+      )}
+
+      <div className="space-y-6">
+        {posts.map((post) => (
+          <PostListCard key={post._id} post={post} />
+        ))}
+      </div>
+
+      {hasMore && <div ref={sentinelRef} className="h-10" />}
+      {loading && (
+        <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useState } from "react"
+import { useNavigate, useParams } from "react-router-dom"
+import { useAuth } from "../context/AuthContext"
+import { getUserApi, getUserPostsApi, followUserApi, unfollowUserApi } from "../api/user"
+import { getErrorMessage } from "../api/errors"
+import useCursorPagination from "../hooks/useCursorPagination"
+import PostListCard from "../components/PostListCard"
+import LoginPrompt from "../components/LoginPrompt"
+
+// หน้าโปรไฟล์สาธารณะ: ชื่อ รูป จำนวนผู้ติดตาม และโพสต์ของ user คนนี้ (คนไม่ได้ login เห็นเฉพาะโพสต์ public)
+export default function UserPage() {
+  const { id } = useParams()
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [profile, setProfile] = useState(null)
+  const [profileError, setProfileError] = useState(null)
+  const [following, setFollowing] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [showLoginPrompt, setShowLoginPrompt] = useState(false)
+
+  const isSelf = user?.id === id
+
+  useEffect(() => {
+    let ignore = false
+    setProfile(null)
+    setProfileError(null)
+    getUserApi(id)
+      .then((data) => {
+        if (ignore) return
+        setProfile(data)
+        setFollowing(data.following)
+      })
+      .catch((err) => {
+        if (!ignore) setProfileError(getErrorMessage(err, "Failed to load user"))
+      })
+    return () => {
+      ignore = true
+    }
+  }, [id, user])
+
+  const fetchPage = useCallback(
+    (cursor) => getUserPostsApi(id, { cursor: cursor || undefined }),
+    [id]
+  )
+
+  const { items: posts, loading, error, hasMore, sentinelRef } =
+    useCursorPagination(fetchPage, id)
+
+  const toggleFollow = async () => {
+    if (!user) return setShowLoginPrompt(true)
+    if (busy) return
+
+    try {
+      setBusy(true)
+      const data = following ? await unfollowUserApi(id) : await followUserApi(id)
+      setFollowing(data.following)
+      setProfile((prev) => ({ ...prev, followerCount: data.followerCount }))
+    } catch (err) {
+      console.error("Follow error:", err)
+      alert(getErrorMessage(err, "Failed to update follow"))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (profileError) {
+    return (
+      <div className="min-h-[91vh] bg-gray-100 px-10 py-8">
+        <p className="text-red-500">{profileError}</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-[91vh] bg-gray-100 px-10 py-8">
+      {profile && (
+        <div className="bg-white rounded shadow p-6 mb-8 flex items-center gap-6">
+          {profile.profileImage ? (
+            <img
+              src={profile.profileImage}
+              alt={profile.fullname}
+              className="w-24 h-24 rounded-full object-cover"
+            />
+          ) : (
+            <div className="w-24 h-24 rounded-full bg-gray-200" />
+          )}
+
+          <div className="flex-1">
+            <h1 className="text-2xl font-bold text-gray-800">{profile.fullname}</h1>
+            <div className="flex gap-6 mt-2 text-sm text-gray-600">
+              <span>
+                <span className="font-semibold text-gray-800">{profile.followerCount}</span> followers
+              </span>
+              <span>
+                <span className="font-semibold text-gray-800">{profile.followingCount}</span> following
+              </span>
+            </div>
+          </div>
+
+          {isSelf ? (
+            <button
+              onClick={() => navigate("/profile")}
+              className="px-4 py-2 border border-teal-600 text-teal-600 rounded hover:bg-teal-50"
+            >
+              My profile
+            </button>
+          ) : (
+            <button
+              onClick={toggleFollow}
+              disabled={busy}
+              className={`px-4 py-2 rounded disabled:opacity-50 ${
+                following
+                  ? "border border-teal-600 text-teal-600 hover:bg-teal-50"
+                  : "bg-teal-600 text-white hover:bg-teal-700"
+              }`}
+            >
+              {following ? "Following" : "Follow"}
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-red-500 mb-4">Failed to load posts</p>}
+      {!loading && !error && posts.length === 0 && (
+        <p className="text-gray-500">No posts yet</p>
+      )}
+
+      <div className="space-y-6">
+        {posts.map((post) => (
+          <PostListCard key={post._id} post={post} />
+        ))}
+      </div>
+
+      {hasMore && <div ref={sentinelRef} className="h-10" />}
+      {loading && (
+        <p className="text-center text-sm text-gray-500 py-4">Loading...</p>
+      )}
+
+      {showLoginPrompt && (
+        <LoginPrompt
+          action={`follow ${profile?.fullname || "this user"}`}
+          onClose={() => setShowLoginPrompt(false)}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,53 @@
+// diff ระดับคำสำหรับหน้าประวัติการแก้ไข คืน [{ type: "same" | "added" | "removed", text }]
+// ใช้ LCS ตรง ๆ ข้อความยาวมากจนตารางใหญ่เกิน MAX_CELLS จะคืนเป็นลบทั้งก้อนแล้วเพิ่มทั้งก้อนแทน
+const MAX_CELLS = 1_000_000
+
+// แยกเป็นคำโดยเก็บช่องว่างไว้เป็น token ด้วย ต่อกลับแล้วจะได้ข้อความเดิม
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter(Boolean) : [])
+
+// รวม token ประเภทเดียวกันที่อยู่ติดกัน
+const merge = (parts) =>
+  parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1]
+    if (last && last.type === part.type) last.text += part.text
+    else merged.push({ ...part })
+    return merged
+  }, [])
+
+export const diffWords = (before, after) => {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  if (a.length * b.length > MAX_CELLS) {
+    return merge([
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ])
+  }
+
+  // lcs[i][j] = ความยาว LCS ของ a[i..] กับ b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const parts = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      parts.push({ type: "same", text: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      parts.push({ type: "removed", text: a[i++] })
+    } else {
+      parts.push({ type: "added", text: b[j++] })
+    }
+  }
+  while (i < a.length) parts.push({ type: "removed", text: a[i++] })
+  while (j < b.length) parts.push({ type: "added", text: b[j++] })
+
+  return merge(parts)
+}
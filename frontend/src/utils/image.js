@@ -0,0 +1,12 @@
+// รูปที่ server ย่อให้มี variants = [{ size, url, width, height }] (thumb / card / full)
+// รูปที่ upload ก่อนมีการย่อรูปไม่มี variants ก็ใช้ url ตามเดิม
+
+// srcset ให้ browser เลือกขนาดเองตาม sizes ของ <img> (ไม่มี variants = undefined ไม่ใส่ attribute)
+export const imageSrcSet = (image) =>
+  image?.variants?.length
+    ? image.variants.map((v) => `${v.url} ${v.width}w`).join(", ")
+    : undefined
+
+// URL ของขนาดที่ต้องการ ถ้าไม่มีขนาดนั้นใช้ url หลัก
+export const imageVariantUrl = (image, size) =>
+  image?.variants?.find((v) => v.size === size)?.url || image?.url